@@ -6,6 +6,19 @@
 
 import * as THREE from 'three';
 
+// Built-in named cameras, so template views such as CGTrader's "perspective" and "detail" exist
+// Azimuth turns right from the front view and elevation looks down from above, in degrees
+// Padding is added around the model's bounding sphere (negative values crop into it)
+export const DEFAULT_NAMED_CAMERAS = {
+  perspective: { azimuth: 35, elevation: 25, projection: 'perspective', fov: 35, padding: 0.1 },
+  hero: { azimuth: -30, elevation: 15, projection: 'perspective', fov: 30, padding: 0.05 },
+  detail: { azimuth: 20, elevation: 20, projection: 'perspective', fov: 35, padding: -0.4 },
+  detail1: { azimuth: 45, elevation: 30, projection: 'perspective', fov: 35, padding: -0.4 },
+  detail2: { azimuth: -45, elevation: 10, projection: 'perspective', fov: 35, padding: -0.4 }
+};
+
+const NAMED_CAMERAS_STORAGE_KEY = 'multiview-platform.namedCameras';
+
 export class CameraManager {
   constructor() {
     this.cameras = {};
@@ -13,6 +26,16 @@ export class CameraManager {
     this.distance = 5;
     this.frustumSize = 4;
 
+    // Perspective views share the zoom level: they dolly to show what the ortho frustum shows
+    // perspectiveFit scales that sphere so framing fits the model's bounding sphere
+    this.fov = 35;
+    this.perspectiveFit = 1;
+
+    // Orbit of the whole camera rig around the target, in radians (0, 0 = canonical axes)
+    // Azimuth turns around the world Y axis, polar tilts the rig up or down
+    this.orbitAngles = { azimuth: 0, polar: 0 };
+    this.rigRotation = new THREE.Quaternion();
+
     // Camera positions for orthographic views (normalized)
     this.viewPositions = {
       front: new THREE.Vector3(0, 0, 1),
@@ -45,6 +68,11 @@ export class CameraManager {
 
     this.aspectRatio = 1; // Will be updated per viewport
 
+    // User-defined cameras (persisted) on top of the built-in ones, framed on the last framed model
+    this.userNamedCameras = this.loadNamedCameras();
+    this.namedCameras = {};
+    this.framed = null;
+
     this.initCameras();
   }
 
@@ -101,12 +129,24 @@ export class CameraManager {
 
     if (!camera || !position) return;
 
-    // Calculate camera position
-    const cameraPosition = position.clone().multiplyScalar(this.distance).add(this.target);
+    let { distance } = this;
+    if (camera.isPerspectiveCamera) {
+      distance = this.getPerspectiveDistance(camera);
+      camera.fov = this.fov;
+      camera.near = distance * 0.01;
+      camera.far = Math.max(1000, distance * 10);
+    }
+
+    // Calculate camera position, turned with the rest of the rig
+    const cameraPosition = position
+      .clone()
+      .applyQuaternion(this.rigRotation)
+      .multiplyScalar(distance)
+      .add(this.target);
     camera.position.copy(cameraPosition);
 
     // Set camera orientation using proper up vector
-    camera.up.copy(upVector);
+    camera.up.copy(upVector).applyQuaternion(this.rigRotation);
     camera.lookAt(this.target);
 
     // REMOVED: No special matrix manipulation - let Three.js handle it naturally
@@ -131,8 +171,60 @@ export class CameraManager {
     this.updateAllCameraPositions();
   }
 
+  /**
+   * Orbit all cameras together around the target
+   * The six views rotate as a rigid rig, so they stay mutually orthogonal
+   */
+  orbit(deltaAzimuth, deltaPolar = 0) {
+    this.setOrbitAngles(this.orbitAngles.azimuth + deltaAzimuth, this.orbitAngles.polar + deltaPolar);
+  }
+
+  /**
+   * Set the rig orbit angles (radians)
+   */
+  setOrbitAngles(azimuth, polar) {
+    // Stop at the poles so the front view never goes upside down
+    const limit = Math.PI / 2;
+    this.orbitAngles.azimuth = azimuth % (Math.PI * 2);
+    this.orbitAngles.polar = Math.max(-limit, Math.min(limit, polar));
+
+    this.rigRotation.setFromEuler(
+      new THREE.Euler(this.orbitAngles.polar, this.orbitAngles.azimuth, 0, 'YXZ')
+    );
+    this.updateAllCameraPositions();
+  }
+
+  /**
+   * Snap the rig back to the canonical axes
+   */
+  resetOrbit() {
+    this.setOrbitAngles(0, 0);
+    console.log('🧭 Cameras snapped back to canonical axes');
+  }
+
+  /**
+   * Check whether the rig is turned away from the canonical axes
+   */
+  isOrbited() {
+    return this.orbitAngles.azimuth !== 0 || this.orbitAngles.polar !== 0;
+  }
+
+  /**
+   * Screen right/up directions of a view in world space, following the rig orbit
+   */
+  getViewOrientation(viewName) {
+    const orientation = this.viewOrientations[viewName];
+    if (!orientation) return null;
+
+    return {
+      right: orientation.right.clone().applyQuaternion(this.rigRotation),
+      up: orientation.up.clone().applyQuaternion(this.rigRotation)
+    };
+  }
+
   /**
    * Set frustum size (zoom level) for all cameras
+   * Perspective views dolly in or out to match
    */
   setFrustumSize(size) {
     this.frustumSize = Math.max(0.1, size);
@@ -140,20 +232,87 @@ export class CameraManager {
   }
 
   /**
-   * Update camera frustums for all cameras
+   * Set the field of view of the perspective views (degrees)
+   * Their distance follows, so the framing stays and only the perspective strength changes
    */
-  updateCameraFrustums() {
-    Object.entries(this.cameras).forEach(([viewName, camera]) => {
-      const aspect = camera.userData.aspect || this.aspectRatio;
-      const frustum = this.frustumSize;
+  setFov(fov) {
+    this.fov = THREE.MathUtils.clamp(fov, 10, 90);
+    this.updateCameraFrustums();
+  }
 
-      // Uniform frustum calculation for ALL views
+  /**
+   * Distance at which a perspective view shows the sphere the ortho views show at this zoom level
+   */
+  getPerspectiveDistance(camera) {
+    const radius = (this.frustumSize / 2) * this.perspectiveFit;
+    const halfFov = THREE.MathUtils.degToRad(this.fov) / 2;
+    const aspect = camera.userData.aspect || this.aspectRatio;
+
+    // Narrow viewports are limited by their horizontal field of view
+    const fitAngle = Math.min(halfFov, Math.atan(Math.tan(halfFov) * aspect));
+    return radius / Math.sin(fitAngle);
+  }
+
+  /**
+   * Fit a camera projection to an aspect ratio (orthographic frustum or perspective aspect)
+   */
+  setCameraAspect(camera, aspect) {
+    if (camera.isPerspectiveCamera) {
+      camera.aspect = aspect;
+    } else {
+      const frustum = camera.userData.frustumSize || this.frustumSize;
       camera.left = (-frustum * aspect) / 2;
       camera.right = (frustum * aspect) / 2;
       camera.top = frustum / 2;
       camera.bottom = -frustum / 2;
+    }
+
+    camera.updateProjectionMatrix();
+  }
 
-      camera.updateProjectionMatrix();
+  /**
+   * Switch one view between orthographic and perspective projection
+   */
+  setViewProjection(viewName, projection) {
+    const current = this.cameras[viewName];
+    if (!current) return null;
+
+    const camera = projection === 'perspective'
+      ? this.createPerspectiveCamera(viewName, this.fov)
+      : this.createOrthographicCamera(viewName);
+
+    // Keep the per-view layers (dimension lines, gizmo) and the viewport aspect
+    camera.layers.mask = current.layers.mask;
+    camera.userData.aspect = current.userData.aspect;
+
+    this.cameras[viewName] = camera;
+    this.setCameraAspect(camera, camera.userData.aspect || this.aspectRatio);
+    this.updateCameraPosition(viewName);
+
+    console.log(`📷 ${viewName} view: ${projection}`);
+    return camera;
+  }
+
+  /**
+   * Projection of a view, 'orthographic' or 'perspective'
+   */
+  getViewProjection(viewName) {
+    return this.cameras[viewName]?.isPerspectiveCamera ? 'perspective' : 'orthographic';
+  }
+
+  /**
+   * Update camera frustums for all cameras
+   */
+  updateCameraFrustums() {
+    Object.entries(this.cameras).forEach(([viewName, camera]) => {
+      const aspect = camera.userData.aspect || this.aspectRatio;
+      const frustum = this.frustumSize;
+
+      // Uniform frustum calculation for ALL views, perspective views dolly to match
+      this.setCameraAspect(camera, aspect);
+      if (camera.isPerspectiveCamera) {
+        this.updateCameraPosition(viewName);
+      }
 
       console.log(
         `📐 Updated ${viewName} frustum: aspect=${aspect.toFixed(2)}, size=${frustum.toFixed(2)}`
@@ -199,13 +358,10 @@ export class CameraManager {
       camera.userData.aspect = aspect;
 
       // Apply uniform frustum calculation
-      const frustum = this.frustumSize;
-      camera.left = (-frustum * aspect) / 2;
-      camera.right = (frustum * aspect) / 2;
-      camera.top = frustum / 2;
-      camera.bottom = -frustum / 2;
-
-      camera.updateProjectionMatrix();
+      this.setCameraAspect(camera, aspect);
+      if (camera.isPerspectiveCamera) {
+        this.updateCameraPosition(viewName);
+      }
 
       console.log(
         `📏 ${viewName}: aspect=${aspect.toFixed(2)} (${size?.width || 'ref'}x${size?.height || 'ref'})`
@@ -214,13 +370,16 @@ export class CameraManager {
   }
 
   /**
-   * Frame object in all views (auto-zoom to fit)
+   * Frame object (or bounding box) in all views (auto-zoom to fit)
    */
   frameModel(model) {
     if (!model) return;
 
+    // Named cameras keep framing this object as it moves
+    this.framed = model;
+
     // Calculate model bounding box
-    const box = new THREE.Box3().setFromObject(model);
+    const box = model.isBox3 ? model.clone() : new THREE.Box3().setFromObject(model);
     const size = box.getSize(new THREE.Vector3());
     const center = box.getCenter(new THREE.Vector3());
 
@@ -231,6 +390,10 @@ export class CameraManager {
     const maxDimension = Math.max(size.x, size.y, size.z);
     const newFrustumSize = maxDimension * 1.2; // Add 20% padding
 
+    // Perspective views fit the bounding sphere, with padding, at this zoom level
+    const sphere = box.getBoundingSphere(new THREE.Sphere());
+    this.perspectiveFit = maxDimension > 0 ? (sphere.radius * 1.1) / (newFrustumSize / 2) : 1;
+
     this.setFrustumSize(newFrustumSize);
 
     // Distance should be far enough to avoid clipping
@@ -243,10 +406,147 @@ export class CameraManager {
   }
 
   /**
-   * Get camera for specific view
+   * Get camera for specific view (one of the six views or a named camera)
    */
   getCamera(viewName) {
-    return this.cameras[viewName];
+    return this.cameras[viewName] || this.getNamedCamera(viewName);
+  }
+
+  /**
+   * Definitions of all named cameras, user ones overriding the built-in ones
+   */
+  getNamedCameraDefinitions() {
+    return { ...DEFAULT_NAMED_CAMERAS, ...this.userNamedCameras };
+  }
+
+  /**
+   * Create or update a user-defined named camera
+   */
+  setNamedCamera(name, definition) {
+    if (!/^[\w-]+$/.test(name || '') || this.viewPositions[name]) {
+      throw new Error(`Invalid camera name: ${name}`);
+    }
+
+    const projection = definition.projection === 'orthographic' ? 'orthographic' : 'perspective';
+    this.userNamedCameras[name] = {
+      azimuth: Number(definition.azimuth) || 0,
+      elevation: THREE.MathUtils.clamp(Number(definition.elevation) || 0, -89, 89),
+      projection,
+      fov: THREE.MathUtils.clamp(Number(definition.fov) || 35, 5, 120),
+      padding: THREE.MathUtils.clamp(Number(definition.padding) || 0, -0.9, 2)
+    };
+
+    this.saveNamedCameras();
+    console.log(`🎥 Saved named camera: ${name}`);
+    return this.userNamedCameras[name];
+  }
+
+  /**
+   * Remove a user-defined named camera (built-in ones come back to their defaults)
+   */
+  removeNamedCamera(name) {
+    delete this.userNamedCameras[name];
+    delete this.namedCameras[name];
+    this.saveNamedCameras();
+  }
+
+  /**
+   * Camera for a named view, framed on the last framed model
+   */
+  getNamedCamera(name) {
+    const definition = this.getNamedCameraDefinitions()[name];
+    if (!definition) return null;
+
+    const perspective = definition.projection === 'perspective';
+    let camera = this.namedCameras[name];
+    if (!camera || Boolean(camera.isPerspectiveCamera) !== perspective) {
+      camera = perspective
+        ? new THREE.PerspectiveCamera(definition.fov, this.aspectRatio)
+        : new THREE.OrthographicCamera();
+      camera.name = `${name}Camera`;
+      this.namedCameras[name] = camera;
+    }
+
+    const { center, radius } = this.getFramingSphere();
+    const framedRadius = radius * (1 + definition.padding);
+    const direction = new THREE.Vector3().setFromSphericalCoords(
+      1,
+      THREE.MathUtils.degToRad(90 - definition.elevation),
+      THREE.MathUtils.degToRad(definition.azimuth)
+    );
+
+    let distance;
+    if (perspective) {
+      // Fit the sphere in the vertical field of view
+      camera.fov = definition.fov;
+      camera.aspect = this.aspectRatio;
+      distance = framedRadius / Math.sin(THREE.MathUtils.degToRad(definition.fov) / 2);
+    } else {
+      const frustumSize = framedRadius * 2;
+      camera.left = (-frustumSize * this.aspectRatio) / 2;
+      camera.right = (frustumSize * this.aspectRatio) / 2;
+      camera.top = frustumSize / 2;
+      camera.bottom = -frustumSize / 2;
+      camera.userData.frustumSize = frustumSize;
+      distance = radius * 3;
+    }
+
+    camera.near = Math.max(distance - radius * 2, distance * 0.01);
+    camera.far = distance + radius * 2;
+    camera.position.copy(center).addScaledVector(direction, distance);
+    camera.up.set(0, 1, 0);
+    camera.lookAt(center);
+    camera.updateProjectionMatrix();
+    camera.updateMatrixWorld();
+
+    camera.userData = {
+      ...camera.userData,
+      viewName: name,
+      named: true,
+      type: definition.projection
+    };
+
+    return camera;
+  }
+
+  /**
+   * Bounding sphere of the framed model, or of the current view when nothing was framed
+   */
+  getFramingSphere() {
+    const box = this.framed?.isBox3 ? this.framed.clone() : new THREE.Box3();
+    if (this.framed && !this.framed.isBox3) {
+      box.setFromObject(this.framed);
+    }
+
+    if (box.isEmpty()) {
+      return { center: this.target.clone(), radius: this.frustumSize / 2 };
+    }
+
+    const sphere = box.getBoundingSphere(new THREE.Sphere());
+    return { center: sphere.center, radius: sphere.radius || 1 };
+  }
+
+  /**
+   * Read the user-defined named cameras from local storage
+   */
+  loadNamedCameras() {
+    try {
+      return JSON.parse(localStorage.getItem(NAMED_CAMERAS_STORAGE_KEY)) || {};
+    } catch (error) {
+      console.warn('⚠️ Could not read named cameras:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Write the user-defined named cameras to local storage
+   */
+  saveNamedCameras() {
+    try {
+      localStorage.setItem(NAMED_CAMERAS_STORAGE_KEY, JSON.stringify(this.userNamedCameras));
+    } catch (error) {
+      console.warn('⚠️ Could not save named cameras:', error);
+    }
   }
 
   /**
@@ -263,8 +563,9 @@ export class CameraManager {
     this.target.set(0, 0, 0);
     this.distance = 5;
     this.frustumSize = 4;
+    this.perspectiveFit = 1;
 
-    this.updateAllCameraPositions();
+    this.setOrbitAngles(0, 0);
     this.updateCameraFrustums();
 
     console.log('🔄 Reset all cameras to default positions');
@@ -286,7 +587,7 @@ export class CameraManager {
     const scale = this.frustumSize * 0.5;
 
     // Use view orientations for consistent coordinate mapping
-    const orientation = this.viewOrientations[viewName];
+    const orientation = this.getViewOrientation(viewName);
     if (!orientation) {
       console.warn(`No orientation defined for view: ${viewName}`);
       return;
@@ -349,20 +650,11 @@ export class CameraManager {
   }
 
   /**
-   * Create perspective camera for specific view (alternative mode)
+   * Create perspective camera for specific view
+   * Placed by updateCameraPosition, at the distance matching the zoom level
    */
-  createPerspectiveCamera(viewName, fov = 45) {
-    const aspect = this.aspectRatio;
-    const camera = new THREE.PerspectiveCamera(fov, aspect, 0.1, 1000);
-
-    // Position like orthographic camera but with perspective
-    const position = this.viewPositions[viewName];
-    const upVector = this.viewUpVectors[viewName];
-
-    const cameraPosition = position.clone().multiplyScalar(this.distance).add(this.target);
-    camera.position.copy(cameraPosition);
-    camera.up.copy(upVector);
-    camera.lookAt(this.target);
+  createPerspectiveCamera(viewName, fov = this.fov) {
+    const camera = new THREE.PerspectiveCamera(fov, this.aspectRatio, 0.1, 1000);
 
     camera.name = `${viewName}PerspectiveCamera`;
     camera.userData = { viewName, type: 'perspective' };
@@ -371,18 +663,12 @@ export class CameraManager {
   }
 
   /**
-   * Switch between orthographic and perspective cameras
+   * Switch all views between orthographic and perspective cameras
    */
   switchToMode(mode = 'orthographic') {
-    if (mode === 'perspective') {
-      // Replace orthographic cameras with perspective ones
-      Object.keys(this.cameras).forEach((viewName) => {
-        this.cameras[viewName] = this.createPerspectiveCamera(viewName);
-      });
-    } else {
-      // Switch back to orthographic
-      this.initCameras();
-    }
+    Object.keys(this.cameras).forEach((viewName) => {
+      this.setViewProjection(viewName, mode);
+    });
 
     console.log(`📷 Switched to ${mode} cameras`);
   }
@@ -436,7 +722,11 @@ export class CameraManager {
       target: this.target.clone(),
       distance: this.distance,
       frustumSize: this.frustumSize,
-      aspectRatio: this.aspectRatio
+      aspectRatio: this.aspectRatio,
+      orbitAngles: { ...this.orbitAngles },
+      framed: this.framed,
+      fov: this.fov,
+      perspectiveFit: this.perspectiveFit
     };
   }
 
@@ -450,8 +740,12 @@ export class CameraManager {
     this.distance = state.distance;
     this.frustumSize = state.frustumSize;
     this.aspectRatio = state.aspectRatio;
+    this.framed = state.framed || null;
+    this.fov = state.fov || this.fov;
+    this.perspectiveFit = state.perspectiveFit || 1;
 
-    this.updateAllCameraPositions();
+    const { azimuth = 0, polar = 0 } = state.orbitAngles || {};
+    this.setOrbitAngles(azimuth, polar);
     this.updateCameraFrustums();
   }
 
@@ -502,13 +796,10 @@ export class CameraManager {
       camera.userData.aspect = aspect;
 
       // Apply uniform frustum calculation
-      const frustum = this.frustumSize;
-      camera.left = (-frustum * aspect) / 2;
-      camera.right = (frustum * aspect) / 2;
-      camera.top = frustum / 2;
-      camera.bottom = -frustum / 2;
-
-      camera.updateProjectionMatrix();
+      this.setCameraAspect(camera, aspect);
+      if (camera.isPerspectiveCamera) {
+        this.updateCameraPosition(viewName);
+      }
 
       console.log(`📐 ${viewName}: forced aspect=${aspect.toFixed(2)}`);
     });
@@ -530,9 +821,13 @@ export class CameraManager {
       console.log(
         `  Up: (${camera.up.x.toFixed(2)}, ${camera.up.y.toFixed(2)}, ${camera.up.z.toFixed(2)})`
       );
-      console.log(
-        `  Frustum: L=${camera.left.toFixed(2)}, R=${camera.right.toFixed(2)}, T=${camera.top.toFixed(2)}, B=${camera.bottom.toFixed(2)}`
-      );
+      if (camera.isPerspectiveCamera) {
+        console.log(`  Perspective: FOV=${camera.fov.toFixed(1)}, distance=${camera.position.distanceTo(this.target).toFixed(2)}`);
+      } else {
+        console.log(
+          `  Frustum: L=${camera.left.toFixed(2)}, R=${camera.right.toFixed(2)}, T=${camera.top.toFixed(2)}, B=${camera.bottom.toFixed(2)}`
+        );
+      }
       console.log(`  Aspect: ${(camera.userData.aspect || this.aspectRatio).toFixed(2)}`);
     });
   }
@@ -19,6 +19,13 @@ export class Controls {
     this.autoRotate = false;
     this.autoRotateSpeed = 2.0;
     
+    // Measurement mode: left clicks pick points instead of orbiting
+    this.measureMode = false;
+    this.measureTargets = [];
+    this.measureCallback = null;
+    this.snapDistance = 10; // Pixels within which a click snaps to a vertex
+    this.raycaster = new THREE.Raycaster();
+    
     // Mouse state
     this.mouseState = {
       isDown: false,
@@ -88,7 +95,7 @@ export class Controls {
       mouseUp: (e) => this.onMouseUp(e, viewName),
       wheel: (e) => this.onMouseWheel(e, viewName),
       touchStart: (e) => this.onTouchStart(e, viewName),
-      touchMove: (e) => this.onTouchMove(e, viewName),
+      touchMove: (e) => this.onTouchMove(e),
       touchEnd: (e) => this.onTouchEnd(e, viewName),
       contextMenu: (e) => e.preventDefault()
     };
@@ -126,6 +133,11 @@ export class Controls {
     
     event.preventDefault();
     
+    if (this.measureMode && event.button === 0) {
+      this.handleMeasureClick(event, viewName);
+      return;
+    }
+    
     this.mouseState.isDown = true;
     this.mouseState.button = event.button;
     
@@ -181,7 +193,7 @@ export class Controls {
     this.mouseState.button = -1;
     
     // Reset cursor
-    event.target.style.cursor = 'grab';
+    event.target.style.cursor = this.getIdleCursor();
     
     // Remove global listeners
     document.removeEventListener('mousemove', this.onDocumentMouseMove);
@@ -198,7 +210,7 @@ export class Controls {
     
     // Find the active canvas
     const activeCanvas = Object.values(this.canvases).find(canvas => 
-      canvas.style.cursor !== 'grab'
+      canvas.style.cursor !== this.getIdleCursor()
     );
     
     if (activeCanvas) {
@@ -229,7 +241,7 @@ export class Controls {
     
     // Reset all canvas cursors
     Object.values(this.canvases).forEach(canvas => {
-      canvas.style.cursor = 'grab';
+      canvas.style.cursor = this.getIdleCursor();
     });
     
     // Remove global listeners
@@ -249,6 +261,13 @@ export class Controls {
     }
   }
 
+  /**
+   * Cursor shown when no button is pressed
+   */
+  getIdleCursor() {
+    return this.measureMode ? 'crosshair' : 'grab';
+  }
+
   /**
    * Mouse wheel event handler
    */
@@ -260,6 +279,12 @@ export class Controls {
     const delta = event.deltaY;
     const zoomFactor = delta > 0 ? 1 / this.zoomSpeed : this.zoomSpeed;
     
+    // Shift + wheel changes the field of view of perspective views instead of dollying
+    if (event.shiftKey && this.cameraManager.getCamera(viewName)?.isPerspectiveCamera) {
+      this.cameraManager.setFov(this.cameraManager.fov * zoomFactor);
+      return;
+    }
+    
     this.zoom(zoomFactor);
     
     console.log(`Zoom: ${viewName}, factor: ${zoomFactor.toFixed(2)}`);
@@ -278,7 +303,7 @@ export class Controls {
     switch (this.mouseState.button) {
       case 0: // Left mouse button - orbit/rotate
         if (this.enableRotate) {
-          this.orbit(-delta.x * this.rotateSpeed * 3, -delta.y * this.rotateSpeed * 3, viewName);
+          this.orbit(-delta.x * this.rotateSpeed * 3, -delta.y * this.rotateSpeed * 3);
         }
         break;
         
@@ -319,7 +344,7 @@ export class Controls {
   /**
    * Touch move event handler
    */
-  onTouchMove(event, viewName) {
+  onTouchMove(event) {
     if (!this.isEnabled) return;
     
     event.preventDefault();
@@ -333,7 +358,7 @@ export class Controls {
       const deltaY = (touches[0].clientY - this.touchState.touches[0].clientY) / rect.height;
       
       if (this.enableRotate) {
-        this.orbit(-deltaX * this.rotateSpeed * 2, -deltaY * this.rotateSpeed * 2, viewName);
+        this.orbit(-deltaX * this.rotateSpeed * 2, -deltaY * this.rotateSpeed * 2);
       }
     } else if (touches.length === 2) {
       // Two fingers - zoom and pan
@@ -409,6 +434,20 @@ export class Controls {
           this.toggleAutoRotate();
         }
         break;
+      case 'Home':
+        event.preventDefault();
+        this.snapToAxes();
+        break;
+      case 'KeyM':
+        if (!event.ctrlKey && !event.metaKey) {
+          this.setMeasureMode(!this.measureMode);
+        }
+        break;
+      case 'Escape':
+        if (this.measureMode) {
+          this.measureCallback?.({ cancel: true });
+        }
+        break;
     }
   }
 
@@ -436,24 +475,24 @@ export class Controls {
   }
 
   /**
-   * Orbit around target (now uses CameraManager's orbit method if available)
+   * Orbit the camera rig around the target (all views turn together)
    */
-  orbit(deltaAzimuth, deltaPolar, viewName = 'front') {
+  orbit(deltaAzimuth, deltaPolar) {
     if (!this.enableRotate || !this.cameraManager) return;
     
-    // Use CameraManager's orbit method if available, otherwise fall back to pan
-    if (typeof this.cameraManager.orbit === 'function') {
-      this.cameraManager.orbit(deltaAzimuth, deltaPolar);
-      console.log(`Orbit: ${deltaAzimuth.toFixed(3)}, ${deltaPolar.toFixed(3)} via CameraManager`);
-    } else {
-      // Fallback to pan for visual feedback
-      this.pan(deltaAzimuth * 0.5, deltaPolar * 0.5, viewName);
-      console.log(`Orbit fallback to pan: ${deltaAzimuth.toFixed(3)}, ${deltaPolar.toFixed(3)}`);
-    }
+    this.cameraManager.orbit(deltaAzimuth, deltaPolar);
+  }
+
+  /**
+   * Snap the views back to the canonical axes
+   */
+  snapToAxes() {
+    this.autoRotate = false;
+    this.cameraManager?.resetOrbit();
   }
 
   /**
-   * Zoom in/out (change frustum size)
+   * Zoom in/out (change frustum size; perspective views dolly to match)
    */
   zoom(factor) {
     if (!this.enableZoom || !this.cameraManager) return;
@@ -484,6 +523,86 @@ export class Controls {
     }
   }
 
+  /**
+   * Turn measurement mode on or off
+   */
+  setMeasureMode(enabled) {
+    this.measureMode = enabled;
+    
+    Object.values(this.canvases).forEach((canvas) => {
+      canvas.style.cursor = this.getIdleCursor();
+    });
+    
+    this.measureCallback?.({ mode: enabled });
+    console.log(`📏 Measure mode: ${enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  /**
+   * Objects that measurement clicks can hit (the loaded models)
+   */
+  setMeasureTargets(objects) {
+    this.measureTargets = objects;
+  }
+
+  /**
+   * Set measurement callback, called with each picked point, on cancel and on mode changes
+   */
+  onMeasure(callback) {
+    this.measureCallback = callback;
+  }
+
+  /**
+   * Pick a point under the cursor and report it
+   */
+  handleMeasureClick(event, viewName) {
+    const pick = this.pickPoint(event, viewName);
+    
+    if (pick) {
+      this.measureCallback?.({ ...pick, viewName });
+    }
+  }
+
+  /**
+   * Raycast from a viewport, snapping to the nearest vertex of the hit face when close enough on screen
+   */
+  pickPoint(event, viewName) {
+    const camera = this.cameraManager.getCamera(viewName);
+    if (!camera || this.measureTargets.length === 0) return null;
+    
+    const rect = event.target.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    
+    this.raycaster.setFromCamera(pointer, camera);
+    const hit = this.raycaster.intersectObjects(this.measureTargets, true).find((intersection) => intersection.face);
+    if (!hit) return null;
+    
+    // Compare in pixels, so snapping feels the same at any zoom
+    const toScreen = (point) => {
+      const projected = point.clone().project(camera);
+      return new THREE.Vector2((projected.x + 1) / 2 * rect.width, (1 - projected.y) / 2 * rect.height);
+    };
+    const cursor = new THREE.Vector2(event.clientX - rect.left, event.clientY - rect.top);
+    
+    let snap = null;
+    let closest = this.snapDistance;
+    
+    [hit.face.a, hit.face.b, hit.face.c].forEach((index) => {
+      const vertex = hit.object.getVertexPosition(index, new THREE.Vector3());
+      hit.object.localToWorld(vertex);
+      
+      const distance = toScreen(vertex).distanceTo(cursor);
+      if (distance <= closest) {
+        snap = vertex;
+        closest = distance;
+      }
+    });
+    
+    return { point: snap || hit.point.clone(), snapped: Boolean(snap) };
+  }
+
   /**
    * Auto-rotate functionality
    */
@@ -0,0 +1,330 @@
+/**
+ * DimensionManager.js - Real-World Dimensions
+ * Recovers the model's real size from its source unit and draws dimension lines in the orthographic views
+ */
+
+import * as THREE from 'three';
+import { METERS_PER_UNIT } from '../loaders/ModelLoader.js';
+
+// Units offered for display and manual override, with their display precision
+export const DISPLAY_UNITS = {
+  m: { label: 'm', decimals: 3 },
+  cm: { label: 'cm', decimals: 1 },
+  mm: { label: 'mm', decimals: 0 },
+  in: { label: 'in', decimals: 2 }
+};
+
+// Largest dimension, in meters, of a model whose unit can be trusted
+const PLAUSIBLE_SIZE = { min: 0.01, max: 100 };
+
+// One camera layer per view, so each viewport only renders its own dimension lines
+const VIEW_LAYERS = { front: 1, back: 2, left: 3, right: 4, top: 5, bottom: 6 };
+
+export class DimensionManager {
+  constructor(cameraManager) {
+    this.cameraManager = cameraManager;
+    this.color = 0x1e293b;
+    this.model = null;
+    this.visible = true;
+    this.orbited = false;
+    this.group = new THREE.Group();
+    this.group.name = 'dimensionLines';
+    
+    Object.entries(VIEW_LAYERS).forEach(([viewName, layer]) => {
+      this.cameraManager.getCamera(viewName)?.layers.enable(layer);
+    });
+  }
+
+  /**
+   * Store the unit metadata of a freshly loaded model
+   * Declared units are trusted; format conventions are checked against the model size
+   */
+  setupModel(model) {
+    const source = model.userData.source || { unit: 'm', metersPerUnit: 1, unitDeclared: false };
+    const detected = source.unitDeclared ? source.unit : this.inferUnit(model, source);
+    
+    model.userData.dimensions = {
+      sourceUnit: source.unit,
+      detectedUnit: detected,
+      unit: detected || 'm',
+      inferred: !source.unitDeclared,
+      override: null
+    };
+    
+    const size = this.getRealSize(model);
+    console.log(`📏 Dimensions: ${this.formatSize(size, model.userData.dimensions.unit)} (${model.userData.dimensions.inferred ? 'inferred' : 'declared'} unit)`);
+    
+    return model.userData.dimensions;
+  }
+
+  /**
+   * Guess the file unit from the model size
+   * Keeps the format convention when it gives a plausible size, else picks the unit closest to a 1 m object
+   */
+  inferUnit(model, source) {
+    const fileSize = this.getFileSize(model, source);
+    const largest = Math.max(fileSize.x, fileSize.y, fileSize.z);
+    if (largest === 0) {
+      return source.unit;
+    }
+    
+    const isPlausible = (unit) => {
+      const meters = largest * METERS_PER_UNIT[unit];
+      return meters >= PLAUSIBLE_SIZE.min && meters <= PLAUSIBLE_SIZE.max;
+    };
+    
+    if (source.unit && isPlausible(source.unit)) {
+      return source.unit;
+    }
+    
+    const candidates = Object.keys(DISPLAY_UNITS).filter(isPlausible);
+    if (candidates.length === 0) {
+      return source.unit;
+    }
+    
+    const distance = (unit) => Math.abs(Math.log10(largest * METERS_PER_UNIT[unit]));
+    return candidates.reduce((best, unit) => (distance(unit) < distance(best) ? unit : best));
+  }
+
+  /**
+   * Force the model unit (null goes back to the detected one)
+   */
+  setUnit(model, unit) {
+    const { dimensions } = model.userData;
+    if (!dimensions) return;
+    
+    dimensions.override = unit && METERS_PER_UNIT[unit] ? unit : null;
+    dimensions.unit = dimensions.override || dimensions.detectedUnit || 'm';
+  }
+
+  /**
+   * Bounding box size in file units, undoing the viewer normalization and the loader conversion to meters
+   */
+  getFileSize(model, source = model.userData.source) {
+    const size = new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3());
+    const normalization = model.userData.normalizationScale || 1;
+    const metersPerUnit = source?.metersPerUnit || 1;
+    
+    return size.divideScalar(normalization * metersPerUnit);
+  }
+
+  /**
+   * Bounding box size in meters for the model unit
+   */
+  getRealSize(model) {
+    const unit = model.userData.dimensions?.unit || 'm';
+    return this.getFileSize(model).multiplyScalar(METERS_PER_UNIT[unit]);
+  }
+
+  /**
+   * Real meters per unit of the model's local space (the loader output, before normalization)
+   */
+  getMetersPerModelUnit(model) {
+    const unit = model.userData.dimensions?.unit || 'm';
+    return METERS_PER_UNIT[unit] / (model.userData.source?.metersPerUnit || 1);
+  }
+
+  /**
+   * Real meters per unit of the normalized scene
+   */
+  getMetersPerSceneUnit(model) {
+    return this.getMetersPerModelUnit(model) / (model.userData.normalizationScale || 1);
+  }
+
+  /**
+   * Format a length in meters as a number in a display unit (meters for units without display settings)
+   */
+  formatValue(meters, unit) {
+    const displayUnit = DISPLAY_UNITS[unit] ? unit : 'm';
+    return (meters / METERS_PER_UNIT[displayUnit])
+      .toLocaleString('fr-FR', { maximumFractionDigits: DISPLAY_UNITS[displayUnit].decimals });
+  }
+
+  /**
+   * Format a length in meters with its unit, e.g. "75 cm"
+   */
+  formatLength(meters, unit) {
+    return `${this.formatValue(meters, unit)} ${(DISPLAY_UNITS[unit] || DISPLAY_UNITS.m).label}`;
+  }
+
+  /**
+   * Width × height × depth, e.g. "120 × 75 × 60 cm"
+   */
+  formatSize(size, unit) {
+    const values = [size.x, size.y, size.z].map((meters) => this.formatValue(meters, unit));
+    return `${values.join(' × ')} ${(DISPLAY_UNITS[unit] || DISPLAY_UNITS.m).label}`;
+  }
+
+  /**
+   * Rebuild the dimension lines of every orthographic view around the model
+   */
+  update(model) {
+    this.model = model;
+    this.clear();
+    this.orbited = this.cameraManager.isOrbited();
+    this.updateVisibility();
+    if (!model?.userData.dimensions) return;
+    
+    const box = new THREE.Box3().setFromObject(model);
+    if (box.isEmpty()) return;
+    
+    const realSize = this.getRealSize(model);
+    const { unit } = model.userData.dimensions;
+    const center = box.getCenter(new THREE.Vector3());
+    const halfSize = box.getSize(new THREE.Vector3()).multiplyScalar(0.5);
+    const gap = Math.max(halfSize.x, halfSize.y, halfSize.z) * 0.15;
+    
+    Object.entries(VIEW_LAYERS).forEach(([viewName, layer]) => {
+      const { right, up } = this.cameraManager.getViewOrientation(viewName);
+      const rightAxis = this.getAxis(right);
+      const upAxis = this.getAxis(up);
+      const halfWidth = halfSize[rightAxis];
+      const halfHeight = halfSize[upAxis];
+      
+      // Horizontal line under the model, vertical line on its right
+      const bottom = center.clone().addScaledVector(up, -(halfHeight + gap));
+      const side = center.clone().addScaledVector(right, halfWidth + gap);
+      
+      const parts = [
+        ...this.createDimension(
+          bottom.clone().addScaledVector(right, -halfWidth),
+          bottom.clone().addScaledVector(right, halfWidth),
+          up.clone().negate(),
+          this.formatLength(realSize[rightAxis], unit),
+          gap,
+          true
+        ),
+        ...this.createDimension(
+          side.clone().addScaledVector(up, -halfHeight),
+          side.clone().addScaledVector(up, halfHeight),
+          right,
+          this.formatLength(realSize[upAxis], unit),
+          gap,
+          false
+        )
+      ];
+      
+      parts.forEach((part) => {
+        part.layers.set(layer);
+        part.renderOrder = 1000;
+        this.group.add(part);
+      });
+    });
+  }
+
+  /**
+   * A dimension line with end ticks and its label, offset along outward
+   * Labels stay horizontal on screen, so they clear a vertical line by half their width
+   */
+  createDimension(start, end, outward, text, gap, horizontal) {
+    const tick = outward.clone().multiplyScalar(gap * 0.3);
+    const points = [
+      start, end,
+      start.clone().sub(tick), start.clone().add(tick),
+      end.clone().sub(tick), end.clone().add(tick)
+    ];
+    
+    const line = new THREE.LineSegments(
+      new THREE.BufferGeometry().setFromPoints(points),
+      new THREE.LineBasicMaterial({ color: this.color, depthTest: false })
+    );
+    
+    const label = this.createLabel(text, gap * 0.6);
+    const clearance = (horizontal ? label.scale.y : label.scale.x) / 2 + gap * 0.3;
+    label.position.copy(start).add(end).multiplyScalar(0.5).addScaledVector(outward, clearance);
+    
+    return [line, label];
+  }
+
+  /**
+   * Camera-facing text sprite of the given world height
+   */
+  createLabel(text, height, color = this.color) {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    const fontSize = 48;
+    
+    context.font = `600 ${fontSize}px sans-serif`;
+    canvas.width = Math.ceil(context.measureText(text).width) + 24;
+    canvas.height = fontSize + 16;
+    
+    // Resizing the canvas resets the context state
+    context.font = `600 ${fontSize}px sans-serif`;
+    context.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = `#${color.toString(16).padStart(6, '0')}`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(text, canvas.width / 2, canvas.height / 2);
+    
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthTest: false }));
+    sprite.scale.set(height * canvas.width / canvas.height, height, 1);
+    
+    return sprite;
+  }
+
+  /**
+   * Name of the world axis a view direction is aligned with
+   */
+  getAxis(direction) {
+    const abs = [Math.abs(direction.x), Math.abs(direction.y), Math.abs(direction.z)];
+    return 'xyz'[abs.indexOf(Math.max(...abs))];
+  }
+
+  /**
+   * Show or hide the dimension lines
+   */
+  setVisible(visible) {
+    this.visible = visible;
+    this.updateVisibility();
+  }
+
+  /**
+   * Follow the camera rig (called every frame)
+   * The lines measure the model along the canonical axes, so they hide while the rig is orbited
+   * and are rebuilt when it snaps back
+   */
+  followOrbit() {
+    const orbited = this.cameraManager.isOrbited();
+    if (orbited === this.orbited) return;
+    
+    if (orbited) {
+      this.orbited = true;
+      this.updateVisibility();
+    } else {
+      this.update(this.model);
+    }
+  }
+
+  /**
+   * Apply the visibility toggle, hiding the lines while the rig is orbited
+   */
+  updateVisibility() {
+    this.group.visible = this.visible && !this.orbited;
+  }
+
+  /**
+   * Remove all dimension lines
+   */
+  clear() {
+    [...this.group.children].forEach((child) => {
+      this.group.remove(child);
+      
+      // Sprites share a single geometry
+      if (!child.isSprite) child.geometry.dispose();
+      child.material.map?.dispose();
+      child.material.dispose();
+    });
+  }
+
+  /**
+   * Release resources
+   */
+  dispose() {
+    this.clear();
+    this.group.removeFromParent();
+  }
+}
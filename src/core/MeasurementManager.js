@@ -0,0 +1,178 @@
+/**
+ * MeasurementManager.js - Point-to-Point Measurements
+ * Stores measurements picked in the viewports and draws them in every view
+ */
+
+import * as THREE from 'three';
+
+export class MeasurementManager {
+  constructor(dimensionManager) {
+    this.dimensionManager = dimensionManager;
+    this.color = 0x2563eb;
+    this.model = null;
+    this.measurements = [];
+    this.pendingPoint = null;
+    this.nextId = 1;
+    
+    // Points are stored in model space; the group follows the model through its world matrix
+    this.group = new THREE.Group();
+    this.group.name = 'measurements';
+    this.group.matrixAutoUpdate = false;
+  }
+
+  /**
+   * Attach to a newly loaded model, dropping the previous measurements
+   */
+  setModel(model) {
+    this.clear();
+    this.model = model;
+    
+    if (model) {
+      this.group.matrix = model.matrixWorld;
+      
+      // Stay after the model in the scene graph so its world matrix is updated first
+      model.parent?.add(this.group);
+    }
+  }
+
+  /**
+   * Add a picked point (world space); every second point completes a measurement
+   * Returns the new measurement, or null while waiting for the second point
+   */
+  addPoint(pick) {
+    if (!this.model) return null;
+    
+    const point = this.model.worldToLocal(pick.point.clone());
+    
+    if (!this.pendingPoint) {
+      this.pendingPoint = { point, snapped: pick.snapped, viewName: pick.viewName };
+      this.render();
+      return null;
+    }
+    
+    const measurement = {
+      id: this.nextId++,
+      start: this.pendingPoint.point,
+      end: point,
+      snapped: [this.pendingPoint.snapped, pick.snapped],
+      views: [this.pendingPoint.viewName, pick.viewName]
+    };
+    
+    this.pendingPoint = null;
+    this.measurements.push(measurement);
+    this.render();
+    
+    console.log(`📏 Measurement ${measurement.id}: ${this.formatDistance(measurement)}`);
+    return measurement;
+  }
+
+  /**
+   * Distance of a measurement in meters for the current model unit
+   */
+  getDistance(measurement) {
+    return measurement.start.distanceTo(measurement.end) * this.dimensionManager.getMetersPerModelUnit(this.model);
+  }
+
+  /**
+   * Distance formatted in the model unit
+   */
+  formatDistance(measurement) {
+    const unit = this.model.userData.dimensions?.unit || 'm';
+    return this.dimensionManager.formatLength(this.getDistance(measurement), unit);
+  }
+
+  /**
+   * Remove one measurement
+   */
+  remove(id) {
+    this.measurements = this.measurements.filter((measurement) => measurement.id !== id);
+    this.render();
+  }
+
+  /**
+   * Drop the first point of an unfinished measurement
+   */
+  cancelPending() {
+    if (this.pendingPoint) {
+      this.pendingPoint = null;
+      this.render();
+    }
+  }
+
+  /**
+   * Remove all measurements
+   */
+  clear() {
+    this.measurements = [];
+    this.pendingPoint = null;
+    this.render();
+  }
+
+  /**
+   * Rebuild the lines, end points and labels (after a change or a unit override)
+   */
+  render() {
+    [...this.group.children].forEach((child) => {
+      this.group.remove(child);
+      if (!child.isSprite) child.geometry.dispose();
+      child.material.map?.dispose();
+      child.material.dispose();
+    });
+    
+    if (!this.model) return;
+    
+    // Sizes in model space, relative to the model so they read the same at any scale
+    const box = new THREE.Box3().setFromObject(this.model);
+    const size = box.getSize(new THREE.Vector3()).length() / (this.model.userData.normalizationScale || 1);
+    const labelHeight = size * 0.035;
+    
+    const endpoints = this.measurements.flatMap((measurement) => [measurement.start, measurement.end]);
+    if (this.pendingPoint) {
+      endpoints.push(this.pendingPoint.point);
+    }
+    
+    if (endpoints.length > 0) {
+      const points = new THREE.Points(
+        new THREE.BufferGeometry().setFromPoints(endpoints),
+        new THREE.PointsMaterial({ color: this.color, size: 8, sizeAttenuation: false, depthTest: false })
+      );
+      this.group.add(points);
+    }
+    
+    this.measurements.forEach((measurement) => {
+      const line = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints([measurement.start, measurement.end]),
+        new THREE.LineBasicMaterial({ color: this.color, depthTest: false })
+      );
+      
+      const label = this.dimensionManager.createLabel(
+        `${measurement.id} · ${this.formatDistance(measurement)}`,
+        labelHeight,
+        this.color
+      );
+      label.position.copy(measurement.start).add(measurement.end).multiplyScalar(0.5);
+      
+      this.group.add(line, label);
+    });
+    
+    this.group.children.forEach((child) => {
+      child.renderOrder = 1001;
+    });
+  }
+
+  /**
+   * Show or hide the measurements
+   */
+  setVisible(visible) {
+    this.group.visible = visible;
+  }
+
+  /**
+   * Release resources
+   */
+  dispose() {
+    this.model = null;
+    this.clear();
+    this.group.removeFromParent();
+  }
+}
@@ -0,0 +1,370 @@
+/**
+ * MeshAnalyzer.js - Mesh Topology Analysis
+ * Detects geometry defects buyers notice in their DCC tools but renders hide
+ */
+
+import * as THREE from 'three';
+
+// Overlay colors per issue type
+export const MESH_ISSUE_COLORS = {
+  degenerateTriangles: 0xef4444,
+  nonManifoldEdges: 0xd946ef,
+  boundaryEdges: 0xf59e0b,
+  flippedFaces: 0xf97316,
+  isolatedVertices: 0x06b6d4,
+  duplicateFaces: 0x8b5cf6
+};
+
+// Vertices closer than this fraction of the mesh diagonal are the same point (UV/normal seams)
+const WELD_TOLERANCE = 1e-6;
+
+export class MeshAnalyzer {
+  constructor() {
+    this.overlayOpacity = 0.6;
+  }
+
+  /**
+   * Analyze every mesh of a model
+   * Returns the issue counts and, per mesh, the data needed to draw the overlay
+   */
+  analyze(model) {
+    const counts = {
+      degenerateTriangles: 0,
+      nonManifoldEdges: 0,
+      boundaryEdges: 0,
+      flippedFaces: 0,
+      isolatedVertices: 0,
+      duplicateFaces: 0
+    };
+    const meshes = [];
+    const analyzed = new Map();
+    
+    model.traverse((child) => {
+      if (!child.isMesh || !child.geometry?.attributes.position) return;
+      
+      // Instances sharing a geometry have the same defects, only count them once
+      let result = analyzed.get(child.geometry);
+      if (!result) {
+        result = this.analyzeGeometry(child.geometry);
+        analyzed.set(child.geometry, result);
+        Object.keys(counts).forEach((key) => {
+          counts[key] += result[key].length;
+        });
+      }
+      
+      meshes.push({ mesh: child, result });
+    });
+    
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    console.log(`🩺 Mesh analysis: ${total} issues in ${analyzed.size} geometries`);
+    
+    return { counts, total, meshes };
+  }
+
+  /**
+   * Analyze one triangle geometry
+   * Faces are index triples into the welded vertex list
+   */
+  analyzeGeometry(geometry) {
+    const { position } = geometry.attributes;
+    const { vertices, remap } = this.weldVertices(position, geometry);
+    const faces = this.getFaces(geometry, remap);
+    
+    const degenerateTriangles = [];
+    const duplicateFaces = [];
+    const validFaces = [];
+    const faceKeys = new Set();
+    const used = new Uint8Array(vertices.length / 3);
+    const areaEpsilon = this.getAreaEpsilon(geometry);
+    
+    faces.forEach((face) => {
+      face.forEach((vertex) => {
+        used[vertex] = 1;
+      });
+      
+      if (this.isDegenerate(face, vertices, areaEpsilon)) {
+        degenerateTriangles.push(face);
+        return;
+      }
+      
+      // Same three vertices, whatever the winding
+      const key = [...face].sort((a, b) => a - b).join(',');
+      if (faceKeys.has(key)) {
+        duplicateFaces.push(face);
+        return;
+      }
+      
+      faceKeys.add(key);
+      validFaces.push(face);
+    });
+    
+    const edges = this.buildEdges(validFaces, used.length);
+    const boundaryEdges = [];
+    const nonManifoldEdges = [];
+    
+    edges.forEach((edge) => {
+      if (edge.faces.length === 1) {
+        boundaryEdges.push(edge.vertices);
+      } else if (edge.faces.length > 2) {
+        nonManifoldEdges.push(edge.vertices);
+      }
+    });
+    
+    const flippedFaces = this.findFlippedFaces(validFaces, edges).map((index) => validFaces[index]);
+    
+    const isolatedVertices = [];
+    used.forEach((isUsed, vertex) => {
+      if (!isUsed) isolatedVertices.push(vertex);
+    });
+    
+    return {
+      vertices,
+      degenerateTriangles,
+      nonManifoldEdges,
+      boundaryEdges,
+      flippedFaces,
+      isolatedVertices,
+      duplicateFaces
+    };
+  }
+
+  /**
+   * Merge vertices sharing a position, returning the unique positions and the index remap
+   */
+  weldVertices(position, geometry) {
+    if (!geometry.boundingBox) {
+      geometry.computeBoundingBox();
+    }
+    
+    const size = geometry.boundingBox.getSize(new THREE.Vector3()).length() || 1;
+    const scale = 1 / (size * WELD_TOLERANCE);
+    const lookup = new Map();
+    const remap = new Uint32Array(position.count);
+    const vertices = [];
+    
+    for (let i = 0; i < position.count; i++) {
+      const x = position.getX(i);
+      const y = position.getY(i);
+      const z = position.getZ(i);
+      const key = `${Math.round(x * scale)},${Math.round(y * scale)},${Math.round(z * scale)}`;
+      
+      let vertex = lookup.get(key);
+      if (typeof vertex === 'undefined') {
+        vertex = vertices.length / 3;
+        lookup.set(key, vertex);
+        vertices.push(x, y, z);
+      }
+      
+      remap[i] = vertex;
+    }
+    
+    return { vertices: new Float32Array(vertices), remap };
+  }
+
+  /**
+   * List triangles as welded vertex triples
+   */
+  getFaces(geometry, remap) {
+    const { index } = geometry;
+    const count = index ? index.count : geometry.attributes.position.count;
+    const faces = [];
+    
+    for (let i = 0; i + 2 < count; i += 3) {
+      const a = index ? index.getX(i) : i;
+      const b = index ? index.getX(i + 1) : i + 1;
+      const c = index ? index.getX(i + 2) : i + 2;
+      faces.push([remap[a], remap[b], remap[c]]);
+    }
+    
+    return faces;
+  }
+
+  /**
+   * Smallest triangle area considered non-zero, relative to the mesh size
+   */
+  getAreaEpsilon(geometry) {
+    const size = geometry.boundingBox.getSize(new THREE.Vector3()).length() || 1;
+    return (size * 1e-7) ** 2;
+  }
+
+  /**
+   * Check for repeated vertices or a zero-area triangle
+   */
+  isDegenerate([a, b, c], vertices, areaEpsilon) {
+    if (a === b || b === c || a === c) {
+      return true;
+    }
+    
+    const pa = new THREE.Vector3().fromArray(vertices, a * 3);
+    const ab = new THREE.Vector3().fromArray(vertices, b * 3).sub(pa);
+    const ac = new THREE.Vector3().fromArray(vertices, c * 3).sub(pa);
+    
+    return ab.cross(ac).length() / 2 <= areaEpsilon;
+  }
+
+  /**
+   * Map each undirected edge to the faces using it and the direction they walk it in
+   */
+  buildEdges(faces, vertexCount) {
+    const edges = new Map();
+    
+    faces.forEach((face, faceIndex) => {
+      for (let i = 0; i < 3; i++) {
+        const from = face[i];
+        const to = face[(i + 1) % 3];
+        const key = Math.min(from, to) * vertexCount + Math.max(from, to);
+        
+        let edge = edges.get(key);
+        if (!edge) {
+          edge = { vertices: [from, to], faces: [], forward: [] };
+          edges.set(key, edge);
+        }
+        
+        edge.faces.push(faceIndex);
+        edge.forward.push(from < to);
+      }
+    });
+    
+    return edges;
+  }
+
+  /**
+   * Find faces whose winding disagrees with their neighbours
+   * Each connected patch is oriented from a seed face; the minority orientation is reported as flipped
+   */
+  findFlippedFaces(faces, edges) {
+    const neighbours = faces.map(() => []);
+    
+    edges.forEach((edge) => {
+      if (edge.faces.length !== 2) return;
+      
+      // Consistent neighbours walk their shared edge in opposite directions
+      const [first, second] = edge.faces;
+      const consistent = edge.forward[0] !== edge.forward[1];
+      neighbours[first].push({ face: second, consistent });
+      neighbours[second].push({ face: first, consistent });
+    });
+    
+    const orientation = new Int8Array(faces.length);
+    const flipped = [];
+    
+    for (let seed = 0; seed < faces.length; seed++) {
+      if (orientation[seed] !== 0) continue;
+      
+      const patch = [seed];
+      orientation[seed] = 1;
+      
+      for (let i = 0; i < patch.length; i++) {
+        const face = patch[i];
+        neighbours[face].forEach((neighbour) => {
+          if (orientation[neighbour.face] === 0) {
+            orientation[neighbour.face] = neighbour.consistent ? orientation[face] : -orientation[face];
+            patch.push(neighbour.face);
+          }
+        });
+      }
+      
+      const reversed = patch.filter((face) => orientation[face] === -1);
+      const minority = reversed.length * 2 <= patch.length ? reversed : patch.filter((face) => orientation[face] === 1);
+      flipped.push(...minority);
+    }
+    
+    return flipped;
+  }
+
+  /**
+   * Build the viewport overlay highlighting every issue
+   * Each part follows its mesh through a shared matrix, so it stays aligned when the model moves
+   */
+  createOverlay(analysis) {
+    const overlay = new THREE.Group();
+    overlay.name = 'meshAnalysisOverlay';
+    
+    analysis.meshes.forEach(({ mesh, result }) => {
+      const parts = [
+        this.createFaceOverlay(result, result.flippedFaces, MESH_ISSUE_COLORS.flippedFaces),
+        this.createFaceOverlay(result, result.duplicateFaces, MESH_ISSUE_COLORS.duplicateFaces),
+        this.createEdgeOverlay(result, result.boundaryEdges, MESH_ISSUE_COLORS.boundaryEdges),
+        this.createEdgeOverlay(result, result.nonManifoldEdges, MESH_ISSUE_COLORS.nonManifoldEdges),
+        this.createPointOverlay(result, result.isolatedVertices, MESH_ISSUE_COLORS.isolatedVertices),
+        this.createPointOverlay(result, result.degenerateTriangles.map((face) => face[0]), MESH_ISSUE_COLORS.degenerateTriangles)
+      ];
+      
+      parts.filter(Boolean).forEach((part) => {
+        part.matrixAutoUpdate = false;
+        part.matrix = mesh.matrixWorld;
+        part.renderOrder = 999;
+        overlay.add(part);
+      });
+    });
+    
+    return overlay;
+  }
+
+  /**
+   * Translucent triangles drawn over the mesh
+   */
+  createFaceOverlay(result, faces, color) {
+    if (faces.length === 0) return null;
+    
+    const geometry = this.createGeometry(result.vertices, faces.flat());
+    const material = new THREE.MeshBasicMaterial({
+      color,
+      side: THREE.DoubleSide,
+      transparent: true,
+      opacity: this.overlayOpacity,
+      depthWrite: false,
+      polygonOffset: true,
+      polygonOffsetFactor: -1,
+      polygonOffsetUnits: -1
+    });
+    
+    return new THREE.Mesh(geometry, material);
+  }
+
+  /**
+   * Line segments along problem edges
+   */
+  createEdgeOverlay(result, edges, color) {
+    if (edges.length === 0) return null;
+    
+    const geometry = this.createGeometry(result.vertices, edges.flat());
+    const material = new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true });
+    
+    return new THREE.LineSegments(geometry, material);
+  }
+
+  /**
+   * Fixed-size points, visible through the mesh
+   */
+  createPointOverlay(result, vertices, color) {
+    if (vertices.length === 0) return null;
+    
+    const geometry = this.createGeometry(result.vertices, vertices);
+    const material = new THREE.PointsMaterial({
+      color,
+      size: 6,
+      sizeAttenuation: false,
+      depthTest: false,
+      transparent: true
+    });
+    
+    return new THREE.Points(geometry, material);
+  }
+
+  /**
+   * Non-indexed geometry from welded vertex indices
+   */
+  createGeometry(vertices, indices) {
+    const positions = new Float32Array(indices.length * 3);
+    indices.forEach((vertex, i) => {
+      positions[i * 3] = vertices[vertex * 3];
+      positions[i * 3 + 1] = vertices[vertex * 3 + 1];
+      positions[i * 3 + 2] = vertices[vertex * 3 + 2];
+    });
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    return geometry;
+  }
+}
@@ -0,0 +1,317 @@
+/**
+ * ModelOrientation.js - Model Orientation Correction
+ * Fixes Z-up or wrongly facing source files so every capture uses the corrected front
+ * The correction is part of the model transform and is saved per model file, so reloading the file restores it
+ */
+
+import * as THREE from 'three';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+
+// After the per-view dimension layers, so only the front viewport shows the gizmo
+const GIZMO_LAYER = 7;
+
+// Faces within this angle of straight down can rest on the floor
+const FLOOR_ANGLE = THREE.MathUtils.degToRad(45);
+
+const STORAGE_PREFIX = 'multiview-platform.orientation.';
+
+const AXES = {
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1)
+};
+
+export class ModelOrientation {
+  constructor(scene, cameraManager, canvas) {
+    this.scene = scene;
+    this.model = null;
+    this.modelKey = null;
+    this.changeCallback = null;
+    this.dragStart = null;
+    
+    // The gizmo turns a pivot at the model center; the model follows the pivot rotation
+    this.pivot = new THREE.Object3D();
+    this.pivot.name = 'orientationPivot';
+    
+    const camera = cameraManager.getCamera('front');
+    camera.layers.enable(GIZMO_LAYER);
+    
+    this.gizmo = new TransformControls(camera, canvas);
+    this.gizmo.name = 'orientationGizmo';
+    this.gizmo.setMode('rotate');
+    this.gizmo.setSpace('world');
+    this.gizmo.getRaycaster().layers.set(GIZMO_LAYER);
+    this.gizmo.traverse((child) => {
+      child.layers.set(GIZMO_LAYER);
+    });
+    this.gizmo.visible = false;
+    this.gizmo.enabled = false;
+    
+    this.gizmo.addEventListener('mouseDown', () => this.startDrag());
+    this.gizmo.addEventListener('objectChange', () => this.updateDrag());
+    this.gizmo.addEventListener('mouseUp', () => this.endDrag());
+    
+    const sceneObject = this.scene.getScene();
+    sceneObject.add(this.pivot);
+    sceneObject.add(this.gizmo);
+  }
+
+  /**
+   * Attach to a newly loaded model, keeping its loaded rotation as the base orientation
+   * The correction saved under the model key (same content hash as the shot list) is applied again
+   */
+  setModel(model, modelKey = null) {
+    this.model = model;
+    this.modelKey = modelKey;
+    this.gizmo.detach();
+    
+    if (!model) {
+      this.setGizmoVisible(false);
+      return;
+    }
+    
+    const isNew = !model.userData.orientation;
+    if (isNew) {
+      model.userData.orientation = {
+        base: model.quaternion.toArray(),
+        correction: new THREE.Quaternion().toArray()
+      };
+    }
+    
+    this.updatePivot();
+    this.gizmo.attach(this.pivot);
+    
+    const correction = isNew && this.load();
+    if (correction) {
+      this.applyRotation(new THREE.Quaternion().fromArray(correction));
+      this.commit();
+    }
+  }
+
+  /**
+   * Follow the front camera when its projection changes
+   */
+  setCamera(camera) {
+    camera.layers.enable(GIZMO_LAYER);
+    this.gizmo.camera = camera;
+  }
+
+  /**
+   * Set change callback, called with the model after every orientation change
+   */
+  onChange(callback) {
+    this.changeCallback = callback;
+  }
+
+  /**
+   * Rotate by a multiple of 90° around a world axis ('x', 'y' or 'z')
+   */
+  rotate(axis, degrees = 90) {
+    if (!this.model || !AXES[axis]) return;
+    
+    const rotation = new THREE.Quaternion().setFromAxisAngle(AXES[axis], THREE.MathUtils.degToRad(degrees));
+    this.applyRotation(rotation);
+    this.commit();
+  }
+
+  /**
+   * Level the model on its largest flat face pointing roughly down
+   * Returns false when no face is close enough to horizontal
+   */
+  alignToFloor() {
+    if (!this.model) return false;
+    
+    const down = new THREE.Vector3(0, -1, 0);
+    const face = this.findFloorFace();
+    if (!face) return false;
+    
+    this.applyRotation(new THREE.Quaternion().setFromUnitVectors(face, down));
+    this.commit();
+    return true;
+  }
+
+  /**
+   * Go back to the orientation the model was loaded with
+   */
+  reset() {
+    if (!this.model) return;
+    
+    const base = new THREE.Quaternion().fromArray(this.model.userData.orientation.base);
+    this.applyRotation(base.multiply(this.model.quaternion.clone().invert()));
+    this.commit();
+  }
+
+  /**
+   * Show or hide the free rotation gizmo (front viewport)
+   */
+  setGizmoVisible(visible) {
+    const enabled = Boolean(visible && this.model);
+    this.gizmo.visible = enabled;
+    this.gizmo.enabled = enabled;
+  }
+
+  /**
+   * Area-weighted normal of the largest group of parallel faces facing down (world space)
+   */
+  findFloorFace() {
+    const groups = new Map();
+    const triangle = new THREE.Triangle();
+    const normal = new THREE.Vector3();
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+    const minDown = Math.cos(FLOOR_ANGLE);
+    
+    this.model.updateMatrixWorld(true);
+    this.model.traverse((child) => {
+      if (!child.isMesh || !child.geometry?.attributes.position) return;
+      
+      const { index } = child.geometry;
+      const count = index ? index.count : child.geometry.attributes.position.count;
+      
+      for (let i = 0; i + 2 < count; i += 3) {
+        child.getVertexPosition(index ? index.getX(i) : i, a).applyMatrix4(child.matrixWorld);
+        child.getVertexPosition(index ? index.getX(i + 1) : i + 1, b).applyMatrix4(child.matrixWorld);
+        child.getVertexPosition(index ? index.getX(i + 2) : i + 2, c).applyMatrix4(child.matrixWorld);
+        
+        triangle.set(a, b, c);
+        const area = triangle.getArea();
+        if (area === 0) continue;
+        
+        triangle.getNormal(normal);
+        if (-normal.y < minDown) continue;
+        
+        // Bucket directions to a few degrees so slightly noisy faces still add up
+        const key = `${Math.round(normal.x * 20)},${Math.round(normal.y * 20)},${Math.round(normal.z * 20)}`;
+        const group = groups.get(key) || { area: 0, normal: new THREE.Vector3() };
+        group.area += area;
+        group.normal.addScaledVector(normal, area);
+        groups.set(key, group);
+      }
+    });
+    
+    let largest = null;
+    groups.forEach((group) => {
+      if (!largest || group.area > largest.area) largest = group;
+    });
+    
+    return largest ? largest.normal.normalize() : null;
+  }
+
+  /**
+   * Turn the model around its bounding box center by a world-space rotation
+   */
+  applyRotation(rotation, start = null) {
+    const from = start || { position: this.model.position.clone(), quaternion: this.model.quaternion.clone() };
+    const center = start?.center || new THREE.Box3().setFromObject(this.model).getCenter(new THREE.Vector3());
+    
+    this.model.position.copy(from.position).sub(center).applyQuaternion(rotation).add(center);
+    this.model.quaternion.copy(rotation).multiply(from.quaternion);
+    this.model.updateMatrixWorld(true);
+  }
+
+  /**
+   * Remember the model pose when a gizmo drag starts
+   */
+  startDrag() {
+    if (!this.model) return;
+    
+    this.pivot.quaternion.identity();
+    this.dragStart = {
+      position: this.model.position.clone(),
+      quaternion: this.model.quaternion.clone(),
+      center: this.pivot.position.clone()
+    };
+  }
+
+  /**
+   * Follow the pivot rotation while dragging
+   */
+  updateDrag() {
+    if (!this.model || !this.dragStart) return;
+    
+    this.applyRotation(this.pivot.quaternion, this.dragStart);
+  }
+
+  /**
+   * Store the orientation once the gizmo is released
+   */
+  endDrag() {
+    if (!this.dragStart) return;
+    
+    this.dragStart = null;
+    this.commit();
+  }
+
+  /**
+   * Store the correction on the model and notify listeners
+   */
+  commit() {
+    const { orientation } = this.model.userData;
+    const base = new THREE.Quaternion().fromArray(orientation.base);
+    orientation.correction = this.model.quaternion.clone().multiply(base.invert()).toArray();
+    
+    const euler = new THREE.Euler().setFromQuaternion(new THREE.Quaternion().fromArray(orientation.correction));
+    const degrees = euler.toArray().slice(0, 3).map((angle) => Math.round(THREE.MathUtils.radToDeg(angle)));
+    console.log(`🧭 Orientation: ${degrees.join('°, ')}°`);
+    
+    this.save();
+    this.changeCallback?.(this.model);
+    this.updatePivot();
+  }
+
+  /**
+   * Read the saved correction of the current model from local storage
+   */
+  load() {
+    if (!this.modelKey) return null;
+    
+    try {
+      const correction = JSON.parse(localStorage.getItem(STORAGE_PREFIX + this.modelKey));
+      return Array.isArray(correction) && correction.length === 4 ? correction : null;
+    } catch (error) {
+      console.warn('⚠️ Could not read orientation:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Write the current model's correction to local storage (no correction removes the entry)
+   */
+  save() {
+    if (!this.modelKey) return;
+    
+    const correction = new THREE.Quaternion().fromArray(this.model.userData.orientation.correction);
+    
+    try {
+      if (correction.angleTo(new THREE.Quaternion()) < 1e-6) {
+        localStorage.removeItem(STORAGE_PREFIX + this.modelKey);
+      } else {
+        localStorage.setItem(STORAGE_PREFIX + this.modelKey, JSON.stringify(correction.toArray()));
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not save orientation:', error);
+    }
+  }
+
+  /**
+   * Put the gizmo pivot back at the model center, unrotated
+   */
+  updatePivot() {
+    if (!this.model) return;
+    
+    new THREE.Box3().setFromObject(this.model).getCenter(this.pivot.position);
+    this.pivot.quaternion.identity();
+    this.pivot.updateMatrixWorld();
+  }
+
+  /**
+   * Release resources
+   */
+  dispose() {
+    this.gizmo.detach();
+    this.gizmo.dispose();
+    this.gizmo.removeFromParent();
+    this.pivot.removeFromParent();
+  }
+}
@@ -217,13 +217,8 @@ export class Renderer {
       if (this.cameraManager) {
         const exportAspect = options.exportResolution.width / options.exportResolution.height;
         const currentCamera = this.cameraManager.getCamera(viewName);
-        if (currentCamera && currentCamera.isOrthographicCamera) {
-          const frustum = this.cameraManager.frustumSize || 4;
-          currentCamera.left = -frustum * exportAspect / 2;
-          currentCamera.right = frustum * exportAspect / 2;
-          currentCamera.top = frustum / 2;
-          currentCamera.bottom = -frustum / 2;
-          currentCamera.updateProjectionMatrix();
+        if (currentCamera) {
+          this.cameraManager.setCameraAspect(currentCamera, exportAspect);
         }
       }
       
@@ -271,14 +266,7 @@ export class Renderer {
         const captureAspect = options.resolution.width / options.resolution.height;
         const camera = options.camera;
         
-        if (camera.isOrthographicCamera) {
-          const frustum = this.cameraManager.frustumSize || 4;
-          camera.left = -frustum * captureAspect / 2;
-          camera.right = frustum * captureAspect / 2;
-          camera.top = frustum / 2;
-          camera.bottom = -frustum / 2;
-          camera.updateProjectionMatrix();
-        }
+        this.cameraManager.setCameraAspect(camera, captureAspect);
         
         // Re-render at new size
         this.renderSingle(viewName, options.scene, options.camera);
@@ -393,13 +381,8 @@ export class Renderer {
       // Update camera aspect ratio for export
       const exportAspect = resolution.width / resolution.height;
       
-      if (camera.isOrthographicCamera && this.cameraManager) {
-        const frustum = this.cameraManager.frustumSize || 4;
-        camera.left = -frustum * exportAspect / 2;
-        camera.right = frustum * exportAspect / 2;
-        camera.top = frustum / 2;
-        camera.bottom = -frustum / 2;
-        camera.updateProjectionMatrix();
+      if (this.cameraManager) {
+        this.cameraManager.setCameraAspect(camera, exportAspect);
       }
       
       // Render at high resolution
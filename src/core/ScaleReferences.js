@@ -0,0 +1,83 @@
+/**
+ * ScaleReferences.js - Built-in Scale Reference Objects
+ * Objects of known size placed next to the model for size context shots
+ * Each factory builds the object in meters, standing on Y = 0 and centered on X/Z
+ */
+
+import * as THREE from 'three';
+
+const NEUTRAL_COLOR = 0x9ca3af;
+
+/**
+ * Simple mannequin, 1.75 m tall
+ */
+function createHuman() {
+  const group = new THREE.Group();
+  const material = new THREE.MeshStandardMaterial({ color: NEUTRAL_COLOR, roughness: 0.8 });
+
+  // [geometry, x, y] with capsule lengths excluding their rounded caps
+  const parts = [
+    [new THREE.SphereGeometry(0.11, 24, 16), 0, 1.64],
+    [new THREE.CapsuleGeometry(0.17, 0.45, 8, 16), 0, 1.18],
+    [new THREE.CapsuleGeometry(0.075, 0.75, 8, 12), -0.1, 0.45],
+    [new THREE.CapsuleGeometry(0.075, 0.75, 8, 12), 0.1, 0.45],
+    [new THREE.CapsuleGeometry(0.05, 0.6, 8, 12), -0.24, 1.13],
+    [new THREE.CapsuleGeometry(0.05, 0.6, 8, 12), 0.24, 1.13]
+  ];
+
+  parts.forEach(([geometry, x, y]) => {
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.position.set(x, y, 0);
+    group.add(mesh);
+  });
+
+  return group;
+}
+
+/**
+ * 1 m cube with outlined edges
+ */
+function createCube() {
+  const group = new THREE.Group();
+  const geometry = new THREE.BoxGeometry(1, 1, 1);
+
+  const cube = new THREE.Mesh(
+    geometry,
+    new THREE.MeshStandardMaterial({ color: NEUTRAL_COLOR, roughness: 0.8, transparent: true, opacity: 0.6 })
+  );
+  const edges = new THREE.LineSegments(
+    new THREE.EdgesGeometry(geometry),
+    new THREE.LineBasicMaterial({ color: 0x374151 })
+  );
+
+  cube.position.y = 0.5;
+  edges.position.y = 0.5;
+  group.add(cube, edges);
+
+  return group;
+}
+
+/**
+ * 1 € coin standing on its edge, facing the front view
+ */
+function createCoin() {
+  const radius = 0.011625;
+  const coin = new THREE.Mesh(
+    new THREE.CylinderGeometry(radius, radius, 0.00233, 48),
+    new THREE.MeshStandardMaterial({ color: 0xc9a227, metalness: 0.8, roughness: 0.35 })
+  );
+
+  coin.rotation.x = Math.PI / 2;
+  coin.position.y = radius;
+
+  const group = new THREE.Group();
+  group.add(coin);
+
+  return group;
+}
+
+export const SCALE_REFERENCES = {
+  human: { name: 'Silhouette humaine (1,75 m)', create: createHuman },
+  cube: { name: 'Cube de 1 m', create: createCube },
+  coin: { name: 'Pièce de 1 € (23,25 mm)', create: createCoin }
+};
@@ -4,6 +4,7 @@
  */
 
 import * as THREE from 'three';
+import { SCALE_REFERENCES } from './ScaleReferences.js';
 
 export class Scene {
   constructor() {
@@ -11,6 +12,8 @@ export class Scene {
     this.models = [];
     this.lights = [];
     this.background = null;
+    this.analysisOverlay = null;
+    this.scaleReference = null;
     
     this.setupDefaultScene();
   }
@@ -303,15 +306,19 @@ export class Scene {
 
   /**
    * Scale model to fit in a 2-unit cube
+   * The applied factor is kept in userData so real-world sizes can be recovered
    */
   scaleModel(model, targetSize = 2) {
     const box = new THREE.Box3().setFromObject(model);
     const size = box.getSize(new THREE.Vector3());
     const maxDimension = Math.max(size.x, size.y, size.z);
     
+    model.userData.normalizationScale = 1;
+    
     if (maxDimension > 0) {
       const scale = targetSize / maxDimension;
       model.scale.setScalar(scale);
+      model.userData.normalizationScale = scale;
     }
   }
 
@@ -394,6 +401,93 @@ export class Scene {
     }
   }
 
+  /**
+   * Replace the mesh analysis overlay (pass null to remove it)
+   * Added after the models so their world matrices are up to date when the overlay copies them
+   */
+  setAnalysisOverlay(overlay) {
+    if (this.analysisOverlay) {
+      this.scene.remove(this.analysisOverlay);
+      this.analysisOverlay.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+      });
+    }
+    
+    this.analysisOverlay = overlay;
+    if (overlay) {
+      this.scene.add(overlay);
+    }
+  }
+
+  /**
+   * Show or hide the mesh analysis overlay
+   */
+  setAnalysisOverlayVisible(visible) {
+    if (this.analysisOverlay) {
+      this.analysisOverlay.visible = visible;
+    }
+  }
+
+  /**
+   * Place a reference object of known size next to the models (pass null to remove it)
+   * metersPerSceneUnit converts the reference's real size to the normalized scene scale
+   */
+  setScaleReference(type, metersPerSceneUnit = 1) {
+    if (this.scaleReference) {
+      this.scene.remove(this.scaleReference.object);
+      this.scaleReference.object.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+      });
+      this.scaleReference = null;
+    }
+    
+    const reference = SCALE_REFERENCES[type];
+    if (!reference) return null;
+    
+    const object = reference.create();
+    object.name = 'scaleReference';
+    object.scale.setScalar(1 / metersPerSceneUnit);
+    object.traverse((child) => {
+      child.castShadow = true;
+      child.receiveShadow = true;
+    });
+    
+    // Stand on the same floor as the models, to their right with a small gap
+    const modelBox = this.getBoundingBox();
+    if (!modelBox.isEmpty()) {
+      const referenceBox = new THREE.Box3().setFromObject(object);
+      const referenceSize = referenceBox.getSize(new THREE.Vector3());
+      const gap = Math.max(modelBox.getSize(new THREE.Vector3()).x, referenceSize.x) * 0.15;
+      
+      object.position.set(
+        modelBox.max.x + gap - referenceBox.min.x,
+        modelBox.min.y - referenceBox.min.y,
+        modelBox.getCenter(new THREE.Vector3()).z
+      );
+    }
+    
+    this.scene.add(object);
+    this.scaleReference = { type, object };
+    
+    console.log(`📏 Scale reference: ${reference.name}`);
+    return object;
+  }
+
+  /**
+   * Bounding box of the models, optionally including the scale reference
+   */
+  getFramingBox(includeScaleReference = false) {
+    const box = this.getBoundingBox();
+    
+    if (includeScaleReference && this.scaleReference) {
+      box.union(new THREE.Box3().setFromObject(this.scaleReference.object));
+    }
+    
+    return box;
+  }
+
   /**
    * Enable/disable shadows
    */
@@ -0,0 +1,857 @@
+/**
+ * AnimationEncoder.js - Turntable Animation Encoding
+ * Turns captured frame sequences into animated GIF, APNG and WebM/MP4 deliverables
+ */
+
+import { crc32 } from './Crc32.js';
+import { loadImage } from './ImageLoader.js';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+export class AnimationEncoder {
+  constructor(options = {}) {
+    this.settings = {
+      fps: 12,
+      loop: true, // true = infinite, false = play once, number = repeat count
+      maxWidth: null, // Downscale frames wider than this
+      videoBitsPerSecond: 5000000,
+      ...options
+    };
+    
+    // Container definitions
+    this.containers = {
+      gif: { mimeType: 'image/gif', extension: 'gif' },
+      apng: { mimeType: 'image/apng', extension: 'png' },
+      webm: { mimeType: 'video/webm', extension: 'webm' },
+      mp4: { mimeType: 'video/mp4', extension: 'mp4' }
+    };
+    
+    // Codec candidates for MediaRecorder, in order of preference
+    this.videoCodecs = {
+      webm: ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'],
+      mp4: ['video/mp4;codecs=avc1', 'video/mp4']
+    };
+    
+    this.progressCallback = null;
+    this.isEncoding = false;
+  }
+
+  /**
+   * Encode a frame sequence into the requested container
+   */
+  async encode(frames, requestedContainer = 'gif', options = {}) {
+    if (!this.containers[requestedContainer]) {
+      throw new Error(`Unsupported animation container: ${requestedContainer}`);
+    }
+    
+    if (!Array.isArray(frames) || frames.length === 0) {
+      throw new Error('No frames to encode');
+    }
+    
+    if (this.isEncoding) {
+      throw new Error('Encoding already in progress');
+    }
+    
+    const settings = this.mergeSettings(options);
+    this.isEncoding = true;
+    
+    // MediaRecorder can't produce MP4 in Firefox and older Chromium, record the other video container there
+    const container = this.resolveContainer(requestedContainer);
+    if (container !== requestedContainer) {
+      console.warn(`⚠️ ${requestedContainer.toUpperCase()} recording not supported, encoding ${container.toUpperCase()} instead`);
+      this.notifyProgress({ stage: 'fallback', requested: requestedContainer, container });
+    }
+    
+    try {
+      const images = await this.loadFrames(frames, settings.maxWidth);
+      const [{ width, height }] = images;
+      
+      // Estimate output size before doing the heavy work
+      const estimate = this.estimateSize(frames, container, { ...settings, width, height });
+      this.notifyProgress({ stage: 'estimate', container, estimate });
+      
+      let blob;
+      switch (container) {
+        case 'gif':
+          blob = this.encodeGIF(images, settings);
+          break;
+        case 'apng':
+          blob = await this.encodeAPNG(images, settings);
+          break;
+        default:
+          blob = await this.encodeVideo(images, container, settings);
+      }
+      
+      this.notifyProgress({ stage: 'completed', container, size: blob.size });
+      
+      return {
+        container,
+        requestedContainer,
+        blob,
+        mimeType: blob.type || this.containers[container].mimeType,
+        extension: this.containers[container].extension,
+        width,
+        height,
+        frames: images.length,
+        fps: settings.fps,
+        loop: settings.loop,
+        estimatedSize: estimate.bytes,
+        size: blob.size
+      };
+    } finally {
+      this.isEncoding = false;
+    }
+  }
+
+  /**
+   * Estimate encoded file size in bytes for a frame sequence
+   */
+  estimateSize(frames, container = 'gif', options = {}) {
+    const settings = this.mergeSettings(options);
+    const resolution = frames[0]?.resolution || {};
+    let width = settings.width || resolution.width || 0;
+    let height = settings.height || resolution.height || 0;
+    
+    if (!settings.width && settings.maxWidth && width > settings.maxWidth) {
+      height = Math.round(height * settings.maxWidth / width);
+      width = settings.maxWidth;
+    }
+    
+    const pixels = width * height;
+    const count = frames.length;
+    const duration = count / settings.fps;
+    let bytes;
+    
+    switch (container) {
+      case 'gif':
+        // 8-bit indexed pixels compress to roughly a third with LZW on studio renders
+        bytes = 800 + count * (pixels * 0.35 + 30);
+        break;
+      case 'apng': {
+        // Reuse the PNG payload sizes when the frames are already PNG
+        const pngBytes = frames.reduce((sum, frame) => {
+          const data = frame?.imageData || frame;
+          if (typeof data === 'string' && data.startsWith('data:image/png')) {
+            return sum + Math.floor((data.length - data.indexOf(',') - 1) * 0.75);
+          }
+          return sum + pixels * 1.2;
+        }, 0);
+        bytes = 100 + pngBytes + count * 38;
+        break;
+      }
+      default:
+        bytes = (settings.videoBitsPerSecond / 8) * duration * this.getRepeatCount(settings.loop);
+    }
+    
+    return {
+      container,
+      bytes: Math.round(bytes),
+      formatted: this.formatSize(bytes),
+      width,
+      height,
+      frames: count,
+      duration
+    };
+  }
+
+  /**
+   * Decode frames (data URLs, blobs, images or canvases) into same-sized canvases
+   */
+  async loadFrames(frames, maxWidth = null) {
+    const images = [];
+    
+    for (const frame of frames) {
+      const source = await loadImage(frame?.imageData || frame?.data || frame);
+      images.push(source);
+    }
+    
+    const [first] = images;
+    let width = first.naturalWidth || first.width;
+    let height = first.naturalHeight || first.height;
+    
+    if (maxWidth && width > maxWidth) {
+      height = Math.round(height * maxWidth / width);
+      width = maxWidth;
+    }
+    
+    return images.map((image) => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+      return canvas;
+    });
+  }
+
+  /**
+   * Encode frames as an animated GIF with a shared quantized palette
+   */
+  encodeGIF(canvases, settings) {
+    const [{ width, height }] = canvases;
+    const pixelData = canvases.map((canvas) =>
+      canvas.getContext('2d').getImageData(0, 0, width, height).data
+    );
+    
+    this.notifyProgress({ stage: 'quantizing', container: 'gif' });
+    
+    const hasTransparency = pixelData.some((data) => {
+      for (let i = 3; i < data.length; i += 4) {
+        if (data[i] < 128) return true;
+      }
+      return false;
+    });
+    
+    const palette = this.quantize(pixelData, hasTransparency ? 255 : 256);
+    const transparentIndex = hasTransparency ? 255 : -1;
+    const lookup = this.createPaletteLookup(palette);
+    
+    const bytes = new ByteWriter();
+    
+    // Header and logical screen descriptor with a 256-entry global color table
+    bytes.writeString('GIF89a');
+    bytes.writeUint16(width);
+    bytes.writeUint16(height);
+    bytes.writeByte(0xf7);
+    bytes.writeByte(0);
+    bytes.writeByte(0);
+    for (let i = 0; i < 256; i++) {
+      const color = palette[i] || [0, 0, 0];
+      bytes.writeBytes(color);
+    }
+    
+    // NETSCAPE2.0 application extension controls looping
+    const repeat = this.getGIFLoopCount(settings.loop);
+    if (repeat !== null) {
+      bytes.writeBytes([0x21, 0xff, 0x0b]);
+      bytes.writeString('NETSCAPE2.0');
+      bytes.writeBytes([0x03, 0x01]);
+      bytes.writeUint16(repeat);
+      bytes.writeByte(0);
+    }
+    
+    const delay = Math.max(2, Math.round(100 / settings.fps));
+    
+    pixelData.forEach((data, frameIndex) => {
+      // Graphic control extension: delay and optional transparency
+      bytes.writeBytes([0x21, 0xf9, 0x04]);
+      bytes.writeByte(hasTransparency ? 0x09 : 0x04);
+      bytes.writeUint16(delay);
+      bytes.writeByte(hasTransparency ? transparentIndex : 0);
+      bytes.writeByte(0);
+      
+      // Image descriptor using the global color table
+      bytes.writeByte(0x2c);
+      bytes.writeUint16(0);
+      bytes.writeUint16(0);
+      bytes.writeUint16(width);
+      bytes.writeUint16(height);
+      bytes.writeByte(0);
+      
+      const indices = new Uint8Array(width * height);
+      for (let i = 0, p = 0; i < indices.length; i++, p += 4) {
+        if (hasTransparency && data[p + 3] < 128) {
+          indices[i] = transparentIndex;
+        } else {
+          indices[i] = lookup(data[p], data[p + 1], data[p + 2]);
+        }
+      }
+      
+      bytes.writeByte(8);
+      const compressed = this.lzwEncode(indices, 8);
+      for (let i = 0; i < compressed.length; i += 255) {
+        const block = compressed.subarray(i, i + 255);
+        bytes.writeByte(block.length);
+        bytes.writeBytes(block);
+      }
+      bytes.writeByte(0);
+      
+      this.notifyProgress({
+        stage: 'encoding',
+        container: 'gif',
+        completed: frameIndex + 1,
+        total: pixelData.length
+      });
+    });
+    
+    bytes.writeByte(0x3b);
+    
+    return new Blob([bytes.toUint8Array()], { type: 'image/gif' });
+  }
+
+  /**
+   * Median-cut palette quantization over a 15-bit color histogram of all frames
+   */
+  quantize(pixelData, maxColors = 256) {
+    const histogram = new Uint32Array(32768);
+    
+    pixelData.forEach((data) => {
+      // Sample large frames to keep the histogram pass fast
+      const stride = Math.max(1, Math.floor(data.length / 4 / 250000)) * 4;
+      for (let i = 0; i < data.length; i += stride) {
+        if (data[i + 3] < 128) continue;
+        histogram[((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3)]++;
+      }
+    });
+    
+    const colors = [];
+    for (let key = 0; key < histogram.length; key++) {
+      if (histogram[key] > 0) colors.push(key);
+    }
+    
+    if (colors.length === 0) {
+      return [[0, 0, 0]];
+    }
+    
+    const channel = (key, c) => (key >> (10 - c * 5)) & 31;
+    const boxes = [colors];
+    
+    while (boxes.length < maxColors) {
+      // Split the box with the widest channel range
+      let bestIndex = -1;
+      let bestRange = 0;
+      let bestChannel = 0;
+      
+      boxes.forEach((box, index) => {
+        if (box.length < 2) return;
+        for (let c = 0; c < 3; c++) {
+          let min = 31;
+          let max = 0;
+          box.forEach((key) => {
+            const value = channel(key, c);
+            if (value < min) min = value;
+            if (value > max) max = value;
+          });
+          if (max - min > bestRange) {
+            bestRange = max - min;
+            bestIndex = index;
+            bestChannel = c;
+          }
+        }
+      });
+      
+      if (bestIndex === -1) break;
+      
+      const box = boxes[bestIndex].sort((a, b) => channel(a, bestChannel) - channel(b, bestChannel));
+      const total = box.reduce((sum, key) => sum + histogram[key], 0);
+      
+      let running = 0;
+      let split = 1;
+      for (let i = 0; i < box.length - 1; i++) {
+        running += histogram[box[i]];
+        if (running >= total / 2) {
+          split = i + 1;
+          break;
+        }
+      }
+      
+      boxes.splice(bestIndex, 1, box.slice(0, split), box.slice(split));
+    }
+    
+    return boxes.map((box) => {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let count = 0;
+      
+      box.forEach((key) => {
+        const weight = histogram[key];
+        r += ((channel(key, 0) << 3) | 4) * weight;
+        g += ((channel(key, 1) << 3) | 4) * weight;
+        b += ((channel(key, 2) << 3) | 4) * weight;
+        count += weight;
+      });
+      
+      return [Math.round(r / count), Math.round(g / count), Math.round(b / count)];
+    });
+  }
+
+  /**
+   * Create a cached nearest-color lookup for a palette
+   */
+  createPaletteLookup(palette) {
+    const cache = new Int16Array(32768).fill(-1);
+    
+    return (r, g, b) => {
+      const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+      if (cache[key] !== -1) return cache[key];
+      
+      let best = 0;
+      let bestDistance = Infinity;
+      for (let i = 0; i < palette.length; i++) {
+        const dr = palette[i][0] - r;
+        const dg = palette[i][1] - g;
+        const db = palette[i][2] - b;
+        const distance = dr * dr + dg * dg + db * db;
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = i;
+        }
+      }
+      
+      cache[key] = best;
+      return best;
+    };
+  }
+
+  /**
+   * GIF-flavoured variable-length LZW compression
+   */
+  lzwEncode(indices, minCodeSize) {
+    const output = [];
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+    let buffer = 0;
+    let bufferBits = 0;
+    
+    const emit = (code) => {
+      buffer |= code << bufferBits;
+      bufferBits += codeSize;
+      while (bufferBits >= 8) {
+        output.push(buffer & 0xff);
+        buffer >>= 8;
+        bufferBits -= 8;
+      }
+    };
+    
+    emit(clearCode);
+    
+    let [prefix] = indices;
+    for (let i = 1; i < indices.length; i++) {
+      const k = indices[i];
+      const key = (prefix << 8) | k;
+      
+      if (table.has(key)) {
+        prefix = table.get(key);
+        continue;
+      }
+      
+      emit(prefix);
+      
+      if (nextCode === 4096) {
+        emit(clearCode);
+        table = new Map();
+        nextCode = endCode + 1;
+        codeSize = minCodeSize + 1;
+      } else {
+        if (nextCode >= 1 << codeSize) codeSize++;
+        table.set(key, nextCode++);
+      }
+      
+      prefix = k;
+    }
+    
+    emit(prefix);
+    emit(endCode);
+    
+    if (bufferBits > 0) {
+      output.push(buffer & 0xff);
+    }
+    
+    return new Uint8Array(output);
+  }
+
+  /**
+   * Encode frames as an animated PNG by re-chunking per-frame PNG data
+   */
+  async encodeAPNG(canvases, settings) {
+    const [{ width, height }] = canvases;
+    const pngFrames = [];
+    
+    for (let i = 0; i < canvases.length; i++) {
+      const blob = await new Promise((resolve) => canvases[i].toBlob(resolve, 'image/png'));
+      pngFrames.push(this.readPNGChunks(new Uint8Array(await blob.arrayBuffer())));
+      
+      this.notifyProgress({
+        stage: 'encoding',
+        container: 'apng',
+        completed: i + 1,
+        total: canvases.length
+      });
+    }
+    
+    const [{ ihdr: header, plte: palette, ancillary }] = pngFrames;
+    const sameFormat = (frame) =>
+      this.bytesEqual(frame.ihdr, header) &&
+      (palette ? frame.plte && this.bytesEqual(frame.plte, palette) : !frame.plte);
+    
+    if (!pngFrames.every(sameFormat)) {
+      throw new Error('APNG frames must share the same PNG header and palette');
+    }
+    
+    const bytes = new ByteWriter();
+    bytes.writeBytes(PNG_SIGNATURE);
+    this.writePNGChunk(bytes, 'IHDR', header);
+    
+    // Animation control: frame count and play count (0 = infinite)
+    const actl = new ByteWriter();
+    actl.writeUint32BE(pngFrames.length);
+    actl.writeUint32BE(this.getAPNGPlayCount(settings.loop));
+    this.writePNGChunk(bytes, 'acTL', actl.toUint8Array());
+    
+    ancillary
+      .filter(({ type }) => type !== 'tRNS')
+      .forEach(({ type, payload }) => this.writePNGChunk(bytes, type, payload));
+    if (palette) {
+      this.writePNGChunk(bytes, 'PLTE', palette);
+    }
+    ancillary
+      .filter(({ type }) => type === 'tRNS')
+      .forEach(({ payload }) => this.writePNGChunk(bytes, 'tRNS', payload));
+    
+    const delay = this.getAPNGDelay(settings.fps);
+    let sequence = 0;
+    pngFrames.forEach((frame, index) => {
+      const fctl = new ByteWriter();
+      fctl.writeUint32BE(sequence++);
+      fctl.writeUint32BE(width);
+      fctl.writeUint32BE(height);
+      fctl.writeUint32BE(0);
+      fctl.writeUint32BE(0);
+      fctl.writeUint16BE(delay.numerator);
+      fctl.writeUint16BE(delay.denominator);
+      fctl.writeByte(0); // dispose: none
+      fctl.writeByte(0); // blend: source
+      this.writePNGChunk(bytes, 'fcTL', fctl.toUint8Array());
+      
+      frame.idat.forEach((data) => {
+        if (index === 0) {
+          this.writePNGChunk(bytes, 'IDAT', data);
+        } else {
+          const fdat = new ByteWriter();
+          fdat.writeUint32BE(sequence++);
+          fdat.writeBytes(data);
+          this.writePNGChunk(bytes, 'fdAT', fdat.toUint8Array());
+        }
+      });
+    });
+    
+    this.writePNGChunk(bytes, 'IEND', new Uint8Array(0));
+    
+    return new Blob([bytes.toUint8Array()], { type: 'image/apng' });
+  }
+
+  /**
+   * Extract header, palette and image data chunks from a PNG file
+   */
+  readPNGChunks(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const result = { ihdr: null, plte: null, ancillary: [], idat: [] };
+    let offset = 8;
+    
+    while (offset < data.length) {
+      const length = view.getUint32(offset);
+      const type = String.fromCharCode(...data.subarray(offset + 4, offset + 8));
+      const payload = data.subarray(offset + 8, offset + 8 + length);
+      
+      if (type === 'IHDR') {
+        result.ihdr = payload;
+      } else if (type === 'IDAT') {
+        result.idat.push(payload);
+      } else if (type === 'PLTE') {
+        result.plte = payload;
+      } else if (result.idat.length === 0 && type !== 'IEND') {
+        // Color management and transparency chunks that precede the image data
+        result.ancillary.push({ type, payload });
+      }
+      
+      offset += 12 + length;
+    }
+    
+    if (!result.ihdr || result.idat.length === 0) {
+      throw new Error('Invalid PNG frame data');
+    }
+    
+    return result;
+  }
+
+  /**
+   * Write a PNG chunk with length, type, payload and CRC
+   */
+  writePNGChunk(bytes, type, payload) {
+    const typeBytes = Array.from(type, (char) => char.charCodeAt(0));
+    const crc = crc32(payload, crc32(typeBytes));
+    
+    bytes.writeUint32BE(payload.length);
+    bytes.writeBytes(typeBytes);
+    bytes.writeBytes(payload);
+    bytes.writeUint32BE(crc);
+  }
+
+  /**
+   * Encode frames as a WebM or MP4 clip through MediaRecorder
+   */
+  async encodeVideo(canvases, container, settings) {
+    if (typeof MediaRecorder === 'undefined') {
+      throw new Error('Video encoding is not supported in this browser');
+    }
+    
+    const mimeType = this.videoCodecs[container].find((type) => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) {
+      throw new Error(`${container.toUpperCase()} recording is not supported in this browser`);
+    }
+    
+    const [{ width, height }] = canvases;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    
+    // Frames are pushed manually so timing follows the requested frame rate
+    const stream = canvas.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const recorder = new MediaRecorder(stream, {
+      mimeType,
+      videoBitsPerSecond: settings.videoBitsPerSecond
+    });
+    
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+      if (e.data && e.data.size > 0) chunks.push(e.data);
+    };
+    
+    const stopped = new Promise((resolve, reject) => {
+      recorder.onstop = resolve;
+      recorder.onerror = (e) => reject(e.error || new Error('Recording failed'));
+    });
+    
+    const frameDuration = 1000 / settings.fps;
+    const repeat = this.getRepeatCount(settings.loop);
+    const total = canvases.length * repeat;
+    
+    recorder.start();
+    
+    try {
+      for (let i = 0; i < total; i++) {
+        ctx.drawImage(canvases[i % canvases.length], 0, 0);
+        if (track.requestFrame) {
+          track.requestFrame();
+        }
+        
+        this.notifyProgress({ stage: 'encoding', container, completed: i + 1, total });
+        
+        await this.delay(frameDuration);
+      }
+    } finally {
+      recorder.stop();
+      track.stop();
+    }
+    
+    await stopped;
+    
+    return new Blob(chunks, { type: mimeType.split(';')[0] });
+  }
+
+  /**
+   * Merge per-call options over the defaults, ignoring unset values
+   */
+  mergeSettings(options = {}) {
+    const settings = { ...this.settings };
+    
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== null && typeof value !== 'undefined') {
+        settings[key] = value;
+      }
+    });
+    
+    return settings;
+  }
+
+  /**
+   * Check which containers the current browser can produce
+   */
+  getSupportedContainers() {
+    return Object.keys(this.containers).filter((container) =>
+      this.videoCodecs[container] ? this.canRecord(container) : true
+    );
+  }
+
+  /**
+   * Check if MediaRecorder can record a video container
+   */
+  canRecord(container) {
+    return typeof MediaRecorder !== 'undefined' &&
+      this.videoCodecs[container].some((type) => MediaRecorder.isTypeSupported(type));
+  }
+
+  /**
+   * Container actually produced for a request: an unsupported video container is replaced by a supported one
+   */
+  resolveContainer(container) {
+    if (!this.videoCodecs[container] || this.canRecord(container)) {
+      return container;
+    }
+    
+    const fallback = Object.keys(this.videoCodecs).find((candidate) => this.canRecord(candidate));
+    return fallback || container;
+  }
+
+  /**
+   * GIF loop count: 0 = infinite, null = no loop extension (play once)
+   */
+  getGIFLoopCount(loop) {
+    if (loop === true) return 0;
+    if (typeof loop === 'number' && loop > 1) return Math.min(65535, loop - 1);
+    return null;
+  }
+
+  /**
+   * APNG play count: 0 = infinite
+   */
+  getAPNGPlayCount(loop) {
+    if (loop === true) return 0;
+    if (typeof loop === 'number' && loop > 0) return loop;
+    return 1;
+  }
+
+  /**
+   * APNG frame delay (1 / fps seconds) as a reduced 16-bit fraction, e.g. 12.5 fps gives 2/25
+   */
+  getAPNGDelay(fps) {
+    // Smallest multiplier making fps a whole number, within float tolerance
+    let numerator = 1;
+    while (numerator < 1000 && Math.abs(fps * numerator - Math.round(fps * numerator)) > 1e-6) {
+      numerator++;
+    }
+    
+    let denominator = Math.round(fps * numerator);
+    const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+    const divisor = gcd(numerator, denominator) || 1;
+    numerator /= divisor;
+    denominator /= divisor;
+    
+    // Keep both terms in 16 bits, at the cost of a tiny timing error for odd rates
+    const scale = Math.max(numerator, denominator) / 65535;
+    if (scale > 1) {
+      numerator = Math.max(1, Math.round(numerator / scale));
+      denominator = Math.max(1, Math.round(denominator / scale));
+    }
+    
+    return { numerator, denominator };
+  }
+
+  /**
+   * Number of passes recorded into a video clip
+   */
+  getRepeatCount(loop) {
+    return typeof loop === 'number' && loop > 1 ? Math.floor(loop) : 1;
+  }
+
+  /**
+   * Compare two byte arrays
+   */
+  bytesEqual(a, b) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Format byte size for display
+   */
+  formatSize(bytes) {
+    if (bytes < 1024) return `${Math.round(bytes)} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  /**
+   * Set progress callback
+   */
+  onProgress(callback) {
+    this.progressCallback = callback;
+  }
+
+  /**
+   * Notify progress
+   */
+  notifyProgress(data) {
+    if (typeof this.progressCallback === 'function') {
+      try {
+        this.progressCallback(data);
+      } catch (error) {
+        console.error('Progress callback error:', error);
+      }
+    }
+  }
+
+  /**
+   * Utility: Add delay
+   */
+  delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Dispose of encoder resources
+   */
+  dispose() {
+    this.progressCallback = null;
+    this.isEncoding = false;
+    console.log('🗑️ Animation encoder disposed');
+  }
+}
+
+/**
+ * Growable byte buffer for binary container writing
+ */
+class ByteWriter {
+  constructor(capacity = 1024) {
+    this.buffer = new Uint8Array(capacity);
+    this.length = 0;
+  }
+
+  ensure(size) {
+    if (this.length + size <= this.buffer.length) return;
+    
+    let capacity = this.buffer.length * 2;
+    while (capacity < this.length + size) capacity *= 2;
+    
+    const next = new Uint8Array(capacity);
+    next.set(this.buffer.subarray(0, this.length));
+    this.buffer = next;
+  }
+
+  writeByte(value) {
+    this.ensure(1);
+    this.buffer[this.length++] = value & 0xff;
+  }
+
+  writeBytes(values) {
+    this.ensure(values.length);
+    this.buffer.set(values, this.length);
+    this.length += values.length;
+  }
+
+  writeString(text) {
+    for (let i = 0; i < text.length; i++) {
+      this.writeByte(text.charCodeAt(i));
+    }
+  }
+
+  writeUint16(value) {
+    this.writeByte(value);
+    this.writeByte(value >> 8);
+  }
+
+  writeUint16BE(value) {
+    this.writeByte(value >> 8);
+    this.writeByte(value);
+  }
+
+  writeUint32BE(value) {
+    this.writeByte(value >>> 24);
+    this.writeByte(value >>> 16);
+    this.writeByte(value >>> 8);
+    this.writeByte(value);
+  }
+
+  toUint8Array() {
+    return this.buffer.slice(0, this.length);
+  }
+}
@@ -3,10 +3,18 @@
  * Handles bulk export operations with progress tracking and optimization
  */
 
+import { ZipArchive } from './ZipArchive.js';
+import { crc32 } from './Crc32.js';
+
 export class BatchProcessor {
-  constructor(imageExporter, templates) {
+  constructor(imageExporter, templates, animationEncoder = null, uvLayoutExporter = null) {
     this.imageExporter = imageExporter;
     this.templates = templates;
+    this.animationEncoder = animationEncoder;
+    this.uvLayoutExporter = uvLayoutExporter;
+    
+    // Image types produced by dedicated steps instead of camera captures
+    this.separateImageTypes = ['turntable', 'uvLayout', 'materialChannels'];
     
     this.isProcessing = false;
     this.currentBatch = null;
@@ -89,111 +97,774 @@ export class BatchProcessor {
     }
     
     const results = [];
-    const viewNames = ['front', 'back', 'left', 'right', 'top', 'bottom'];
+    const marketplace = template?.name || 'export';
+    const plan = this.createCapturePlan(template);
     
     this.notifyProgress({
       stage: 'starting',
-      total: viewNames.length,
+      total: plan.length,
       completed: 0
     });
     
-    // Export standard views
-    for (let i = 0; i < viewNames.length; i++) {
-      const viewName = viewNames[i];
+    // Capture every shot of the template's image plan
+    for (let i = 0; i < plan.length; i++) {
+      const shot = plan[i];
       
       try {
-        console.log(`📷 Capturing view: ${viewName} (${i + 1}/${viewNames.length})`);
-        
-        const exportOptions = {
-          format: 'image/png',
-          quality: 0.95,
-          marketplace: template?.name || 'export',
-          ...options
-        };
+        console.log(`📷 Capturing ${shot.label}: ${shot.viewName} (${i + 1}/${plan.length})`);
         
-        const result = await this.imageExporter.captureView(viewName, exportOptions);
+        const exportOptions = this.createShotOptions(shot, marketplace, options, settings);
+        const result = await this.imageExporter.captureView(shot.viewName, exportOptions);
         
         if (result && result.imageData) {
           results.push({
             success: true,
-            viewName,
+            viewName: shot.viewName,
+            type: shot.type,
+            index: shot.index,
             data: result.imageData,
-            filename: result.filename || `${viewName}_view.png`,
+            filename: this.imageExporter.generateFilename(shot.label, {
+              marketplace,
+              format: result.format,
+              resolution: result.resolution
+            }),
+            resolution: result.resolution,
+            format: result.format,
             timestamp: new Date().toISOString()
           });
           
-          console.log(`✅ Successfully captured: ${viewName}`);
+          console.log(`✅ Successfully captured: ${shot.label}`);
         } else {
           throw new Error('No image data returned');
         }
         
         this.notifyProgress({
           stage: 'processing',
-          total: viewNames.length,
+          total: plan.length,
           completed: i + 1,
-          current: viewName
+          current: shot.label
         });
         
         // Small delay between captures to prevent browser lockup
         await this.delay(150);
         
       } catch (error) {
-        console.error(`❌ Failed to capture ${viewName}:`, error);
+        console.error(`❌ Failed to capture ${shot.label}:`, error);
         results.push({
           success: false,
-          viewName,
+          viewName: shot.viewName,
+          type: shot.type,
           error: error.message || 'Unknown error',
           timestamp: new Date().toISOString()
         });
         
         this.notifyError({
-          viewName,
+          viewName: shot.label,
           error: error.message,
           stage: 'capture'
         });
       }
     }
     
-    // Add wireframe if required by template
-    if (template?.images?.wireframe?.required) {
+    // Add animated turntable if required by template or requested
+    const turntable = template?.images?.turntable;
+    if (turntable && (turntable.required || settings?.includeTurntable)) {
+      const turntableResults = await this.processTurntable(template, options, settings);
+      results.push(...turntableResults);
+    }
+    
+    // Add UV layouts for CheckMate Pro if required by template or requested
+    const uvLayout = template?.images?.uvLayout;
+    if (uvLayout && (uvLayout.required || template.checkMate?.uvLayout || settings?.includeUVLayout)) {
+      const uvResults = await this.processUVLayouts(template);
+      results.push(...uvResults);
+    }
+    
+    // Add material channel breakdown if required by template or requested
+    const materialChannels = template?.images?.materialChannels;
+    if (materialChannels && (materialChannels.required || template.checkMate?.materialChannels || settings?.includeMaterialChannels)) {
+      const channelResults = await this.processMaterialChannels(template);
+      results.push(...channelResults);
+    }
+    
+    // Add the front view with dimension lines if requested
+    if (settings?.includeDimensions) {
+      results.push(await this.processDimensions(template, settings, options));
+    }
+    
+    // The scale reference only appears in its own shot, never in the search image
+    if (settings?.includeScaleShot && this.imageExporter.scene.scaleReference) {
+      results.push(await this.processScaleShot(template, settings, options));
+    }
+    
+    const successCount = results.filter((r) => r.success).length;
+    const failureCount = results.filter((r) => !r.success).length;
+    
+    console.log(`📊 Export summary: ${successCount} success, ${failureCount} failures`);
+    
+    this.notifyProgress({
+      stage: 'completed',
+      total: results.length,
+      completed: successCount,
+      failed: failureCount
+    });
+    
+    return results;
+  }
+
+  /**
+   * Expand the template's image specs into an ordered list of shots
+   * Turntable, UV layouts and material channels are produced by their own steps
+   */
+  createCapturePlan(template) {
+    const images = Object.fromEntries(
+      Object.entries(template?.images || {}).filter(([type]) => !this.separateImageTypes.includes(type))
+    );
+    
+    // Only keep template views that have a camera in this scene
+    const requestedViews = template?.camera?.views || this.templates.standardViews;
+    const views = requestedViews.filter((view) => this.imageExporter.cameraManager.getCamera(view));
+    
+    if (views.length < requestedViews.length) {
+      console.warn(`⚠️ Views without camera skipped: ${requestedViews.filter((view) => !views.includes(view)).join(', ')}`);
+    }
+    
+    const naming = template?.naming || {};
+    const usedLabels = new Set();
+    
+    return this.templates.generateImageConfigs(images, views).map((shot) => {
+      let label;
+      switch (shot.type) {
+        case 'searchImage':
+          label = naming.searchImageSuffix || 'search';
+          break;
+        case 'wireframe':
+          label = naming.wireframeSuffix || 'wireframe';
+          break;
+        default:
+          label = typeof shot.index === 'number' ? shot.viewName : shot.type;
+      }
+      
+      // Counted shots cycle through the views, so repeated views get a number
+      if (usedLabels.has(label)) {
+        label = `${label}_${(shot.index || 0) + 1}`;
+      }
+      usedLabels.add(label);
+      
+      return { ...shot, label };
+    });
+  }
+
+  /**
+   * Build capture options for a planned shot
+   */
+  createShotOptions(shot, marketplace, options = {}, settings = {}) {
+    const shotOptions = {
+      format: shot.format || 'image/png',
+      quality: shot.quality || 0.95,
+      wireframe: Boolean(shot.wireframe),
+      measurements: Boolean(settings?.includeMeasurements),
+      // The « Fond exact » setting overrides the template, so compositing can be turned off
+      compositeBackground: Boolean(settings?.compositeBackground ?? shot.compositeBackground),
+      marketplace
+    };
+    
+    // Template resolutions are exact deliverable sizes
+    if (shot.resolution) {
+      shotOptions.resolution = shot.resolution;
+      shotOptions.maintainAspectRatio = false;
+    }
+    
+    if (shot.background) {
+      shotOptions.background = shot.background;
+    } else if (shot.wireframe) {
+      shotOptions.background = 'white'; // Better contrast for wireframe
+    }
+    
+    return { ...shotOptions, ...options };
+  }
+
+  /**
+   * Capture the turntable sequence and encode it into the template's containers
+   */
+  async processTurntable(template, options = {}, settings = {}) {
+    const { turntable } = template.images;
+    const containers = options.containers || turntable.containers || ['frames'];
+    const marketplace = template.name || 'export';
+    const results = [];
+    
+    let frames;
+    try {
+      console.log('🔄 Capturing turntable sequence...');
+      this.notifyProgress({ stage: 'turntable', step: 'capturing', containers });
+      
+      // Frames follow the « Fond exact » setting like the other shots
+      const frameOptions = typeof settings?.compositeBackground === 'boolean'
+        ? { compositeBackground: settings.compositeBackground }
+        : {};
+      frames = await this.imageExporter.captureTurntable({ ...frameOptions, ...options, template, marketplace });
+    } catch (error) {
+      console.error('❌ Failed to capture turntable:', error);
+      this.notifyError({ viewName: 'turntable', error: error.message, stage: 'capture' });
+      
+      return [{
+        success: false,
+        viewName: 'turntable',
+        error: error.message || 'Turntable capture failed',
+        timestamp: new Date().toISOString()
+      }];
+    }
+    
+    for (const container of containers) {
       try {
-        console.log('🔲 Capturing wireframe view...');
-        const wireframeResult = await this.imageExporter.captureWireframe('front');
-        
-        if (wireframeResult && wireframeResult.imageData) {
-          results.push({
-            success: true,
-            viewName: 'wireframe',
-            data: wireframeResult.imageData,
-            filename: wireframeResult.filename || 'wireframe_view.png',
-            timestamp: new Date().toISOString()
+        // Raw image sequence
+        if (container === 'frames') {
+          frames.forEach((frame) => {
+            results.push({
+              success: true,
+              viewName: 'turntable',
+              container,
+              frame: frame.frame,
+              data: frame.imageData,
+              filename: frame.filename,
+              resolution: frame.resolution,
+              format: frame.format,
+              timestamp: new Date().toISOString()
+            });
           });
-          console.log('✅ Successfully captured wireframe');
+          continue;
         }
+        
+        if (!this.animationEncoder) {
+          throw new Error('AnimationEncoder not available');
+        }
+        
+        // Only image containers are downscaled, video keeps the capture resolution
+        const isImage = container === 'gif' || container === 'apng';
+        const encodeOptions = {
+          fps: turntable.fps,
+          loop: turntable.loop,
+          maxWidth: isImage ? turntable.maxWidth : null
+        };
+        
+        // Unsupported video containers are recorded in the other one, skip it if it is already requested
+        const resolved = this.animationEncoder.resolveContainer(container);
+        if (resolved !== container) {
+          console.warn(`⚠️ Turntable ${container} not supported by this browser, using ${resolved}`);
+          this.notifyProgress({ stage: 'turntable', step: 'fallback', requested: container, container: resolved });
+          if (containers.includes(resolved)) continue;
+        }
+        
+        const estimate = this.animationEncoder.estimateSize(frames, resolved, encodeOptions);
+        this.notifyProgress({ stage: 'turntable', step: 'estimate', container: resolved, estimate });
+        
+        const encoded = await this.animationEncoder.encode(frames, resolved, encodeOptions);
+        const format = `${encoded.mimeType.split('/')[0]}/${encoded.extension}`;
+        
+        results.push({
+          success: true,
+          viewName: 'turntable',
+          container: encoded.container,
+          requestedContainer: container,
+          data: await this.blobToDataURL(encoded.blob),
+          blob: encoded.blob,
+          filename: this.imageExporter.generateFilename('turntable', { marketplace, format }),
+          resolution: { width: encoded.width, height: encoded.height },
+          format: encoded.mimeType,
+          size: encoded.size,
+          estimatedSize: encoded.estimatedSize,
+          timestamp: new Date().toISOString()
+        });
+        
+        console.log(`✅ Encoded turntable ${container}: ${this.animationEncoder.formatSize(encoded.size)}`);
+        
       } catch (error) {
-        console.error('❌ Failed to capture wireframe:', error);
+        console.error(`❌ Failed to encode turntable ${container}:`, error);
         results.push({
           success: false,
-          viewName: 'wireframe',
-          error: error.message || 'Wireframe capture failed',
+          viewName: 'turntable',
+          container,
+          error: error.message || 'Turntable encoding failed',
           timestamp: new Date().toISOString()
         });
+        
+        this.notifyError({ viewName: `turntable ${container}`, error: error.message, stage: 'encode' });
       }
     }
     
-    const successCount = results.filter(r => r.success).length;
-    const failureCount = results.filter(r => !r.success).length;
+    return results;
+  }
+
+  /**
+   * Render one UV layout image per material of the loaded models
+   */
+  async processUVLayouts(template) {
+    const { uvLayout } = template.images;
+    const marketplace = template.name || 'export';
     
-    console.log(`📊 Export summary: ${successCount} success, ${failureCount} failures`);
+    try {
+      if (!this.uvLayoutExporter) {
+        throw new Error('UVLayoutExporter not available');
+      }
+      
+      console.log('🧩 Rendering UV layouts...');
+      this.notifyProgress({ stage: 'uvLayout', step: 'rendering' });
+      
+      const layouts = await this.uvLayoutExporter.export(this.imageExporter.scene.models, {
+        resolution: uvLayout.resolution?.width,
+        format: uvLayout.format,
+        channels: uvLayout.channels,
+        showTexture: uvLayout.showTexture
+      });
+      
+      if (layouts.length === 0) {
+        throw new Error('No UV coordinates found on the model');
+      }
+      
+      return layouts.map((layout) => ({
+        success: true,
+        viewName: 'uvLayout',
+        type: 'uvLayout',
+        material: layout.materialName,
+        channel: layout.channel,
+        data: layout.imageData,
+        filename: this.imageExporter.generateFilename(`uv_${layout.materialName}_${layout.channel}`, {
+          marketplace,
+          format: layout.format,
+          resolution: layout.resolution
+        }),
+        resolution: layout.resolution,
+        format: layout.format,
+        stats: layout.stats,
+        timestamp: new Date().toISOString()
+      }));
+      
+    } catch (error) {
+      console.error('❌ Failed to render UV layouts:', error);
+      this.notifyError({ viewName: 'uvLayout', error: error.message, stage: 'uvLayout' });
+      
+      return [{
+        success: false,
+        viewName: 'uvLayout',
+        type: 'uvLayout',
+        error: error.message || 'UV layout rendering failed',
+        timestamp: new Date().toISOString()
+      }];
+    }
+  }
+
+  /**
+   * Render the material channel breakdown and its contact sheet
+   */
+  async processMaterialChannels(template) {
+    const { materialChannels } = template.images;
+    const marketplace = template.name || 'export';
+    
+    const captureOptions = {
+      channels: materialChannels.channels,
+      sheet: materialChannels.sheet !== false,
+      marketplace
+    };
+    if (materialChannels.resolution) {
+      captureOptions.resolution = materialChannels.resolution;
+      captureOptions.maintainAspectRatio = false;
+    }
+    if (materialChannels.format) {
+      captureOptions.format = materialChannels.format;
+    }
+    
+    try {
+      console.log('🎨 Rendering material channels...');
+      this.notifyProgress({ stage: 'materialChannels', step: 'rendering' });
+      
+      const breakdown = await this.imageExporter.captureMaterialChannels(materialChannels.view || 'front', captureOptions);
+      const renders = breakdown.contactSheet
+        ? [...breakdown.channels, { ...breakdown.contactSheet, channel: 'sheet' }]
+        : breakdown.channels;
+      
+      return renders.map((render) => ({
+        success: true,
+        viewName: materialChannels.view || 'front',
+        type: 'materialChannels',
+        channel: render.channel,
+        data: render.imageData,
+        filename: render.filename,
+        resolution: render.resolution,
+        format: render.format,
+        timestamp: new Date().toISOString()
+      }));
+      
+    } catch (error) {
+      console.error('❌ Failed to render material channels:', error);
+      this.notifyError({ viewName: 'materialChannels', error: error.message, stage: 'materialChannels' });
+      
+      return [{
+        success: false,
+        viewName: 'materialChannels',
+        type: 'materialChannels',
+        error: error.message || 'Material channel rendering failed',
+        timestamp: new Date().toISOString()
+      }];
+    }
+  }
+
+  /**
+   * Capture the front view with its dimension lines burned in
+   */
+  async processDimensions(template, settings = {}, options = {}) {
+    const marketplace = template?.name || 'export';
+    const shot = { viewName: 'front', type: 'dimensions', label: 'dimensions', background: 'white' };
+    
+    try {
+      console.log('📏 Rendering dimensions image...');
+      this.notifyProgress({ stage: 'dimensions', step: 'rendering' });
+      
+      const exportOptions = { ...this.createShotOptions(shot, marketplace, options, settings), dimensions: true };
+      const result = await this.imageExporter.captureView(shot.viewName, exportOptions);
+      
+      return {
+        success: true,
+        viewName: shot.viewName,
+        type: shot.type,
+        data: result.imageData,
+        filename: this.imageExporter.generateFilename(shot.label, {
+          marketplace,
+          format: result.format,
+          resolution: result.resolution
+        }),
+        resolution: result.resolution,
+        format: result.format,
+        timestamp: new Date().toISOString()
+      };
+      
+    } catch (error) {
+      console.error('❌ Failed to render dimensions image:', error);
+      this.notifyError({ viewName: 'dimensions', error: error.message, stage: 'dimensions' });
+      
+      return {
+        success: false,
+        viewName: 'dimensions',
+        type: 'dimensions',
+        error: error.message || 'Dimensions rendering failed',
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Capture a product shot with the scale reference next to the model, framed to show both
+   */
+  async processScaleShot(template, settings = {}, options = {}) {
+    const marketplace = template?.name || 'export';
+    const shot = { ...(template?.images?.productShots || {}), viewName: 'front', type: 'scale', label: 'scale' };
+    const { cameraManager, scene } = this.imageExporter;
+    const cameraState = cameraManager.saveState();
+    
+    try {
+      console.log('📏 Rendering scale shot...');
+      this.notifyProgress({ stage: 'scale', step: 'rendering' });
+      
+      cameraManager.frameModel(scene.getFramingBox(true));
+      
+      const exportOptions = { ...this.createShotOptions(shot, marketplace, options, settings), scaleReference: true };
+      const result = await this.imageExporter.captureView(shot.viewName, exportOptions);
+      
+      return {
+        success: true,
+        viewName: shot.viewName,
+        type: shot.type,
+        data: result.imageData,
+        filename: this.imageExporter.generateFilename(shot.label, {
+          marketplace,
+          format: result.format,
+          resolution: result.resolution
+        }),
+        resolution: result.resolution,
+        format: result.format,
+        timestamp: new Date().toISOString()
+      };
+      
+    } catch (error) {
+      console.error('❌ Failed to render scale shot:', error);
+      this.notifyError({ viewName: 'scale', error: error.message, stage: 'scale' });
+      
+      return {
+        success: false,
+        viewName: 'scale',
+        type: 'scale',
+        error: error.message || 'Scale shot rendering failed',
+        timestamp: new Date().toISOString()
+      };
+    } finally {
+      cameraManager.restoreState(cameraState);
+    }
+  }
+
+  /**
+   * Capture the six views of every saved shot, in list order
+   * applyShot(shot) puts the shot's camera rig, lighting and background in place before its captures
+   */
+  async exportShots(shots, applyShot, settings = {}, template = null) {
+    if (this.isProcessing) {
+      console.warn('Batch processing already in progress, waiting...');
+      await this.waitForCompletion();
+    }
+    
+    this.isProcessing = true;
+    
+    const marketplace = template?.name || 'export';
+    const { cameraManager, scene } = this.imageExporter;
+    const viewNames = Object.keys(cameraManager.cameras);
+    const total = shots.length * viewNames.length;
+    const results = [];
+    
+    try {
+      console.log(`🎬 Exporting ${shots.length} shots...`);
+      this.notifyProgress({ stage: 'starting', total, completed: 0 });
+      
+      for (const [index, shot] of shots.entries()) {
+        await applyShot(shot);
+        
+        // The shot's own background is on the scene, it replaces the template one
+        const exportOptions = {
+          ...this.createShotOptions(template?.images?.productShots || {}, marketplace, {}, settings),
+          background: scene.getScene().background
+        };
+        const prefix = `shot${String(index + 1).padStart(2, '0')}_${this.slugify(shot.name)}`;
+        
+        for (const viewName of viewNames) {
+          const label = `${prefix}_${viewName}`;
+          
+          try {
+            const result = await this.imageExporter.captureView(viewName, exportOptions);
+            
+            results.push({
+              success: true,
+              viewName,
+              type: 'shots',
+              shot: shot.name,
+              data: result.imageData,
+              filename: this.imageExporter.generateFilename(label, {
+                marketplace,
+                format: result.format,
+                resolution: result.resolution
+              }),
+              resolution: result.resolution,
+              format: result.format,
+              timestamp: new Date().toISOString()
+            });
+          } catch (error) {
+            console.error(`❌ Failed to capture ${label}:`, error);
+            this.notifyError({ viewName: label, error: error.message, stage: 'shots' });
+            
+            results.push({
+              success: false,
+              viewName,
+              type: 'shots',
+              shot: shot.name,
+              error: error.message || 'Unknown error',
+              timestamp: new Date().toISOString()
+            });
+          }
+          
+          this.notifyProgress({ stage: 'shots', total, completed: results.length, current: label });
+          await this.delay(150);
+        }
+      }
+      
+      this.updateStats(results);
+      console.log(`✅ Shot export completed: ${results.length} results`);
+      return results;
+      
+    } finally {
+      this.cleanup();
+    }
+  }
+
+  /**
+   * Lowercase ASCII file name part
+   */
+  slugify(text) {
+    const slug = String(text)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+    
+    return slug || 'shot';
+  }
+
+  /**
+   * Bundle successful results into a single ZIP archive with a manifest
+   * Layout: manifest.json + <marketplace>/<image type|turntable>/<file>
+   */
+  async createArchive(results, settings = {}, template = null) {
+    const files = Array.isArray(results)
+      ? results.filter((r) => r && r.success && (r.blob || typeof r.data === 'string') && r.filename)
+      : [];
+    
+    if (files.length === 0) {
+      throw new Error('No files to package');
+    }
+    
+    const marketplace = settings.marketplace || 'export';
+    const archive = new ZipArchive();
+    const usedPaths = new Set();
+    
+    const manifest = {
+      generator: '3D Multi-View Platform',
+      createdAt: new Date().toISOString(),
+      template: {
+        id: marketplace,
+        name: template?.name || marketplace
+      },
+      files: [],
+      failed: results
+        .filter((r) => r && !r.success)
+        .map((r) => ({ view: r.viewName, container: r.container, error: r.error }))
+    };
     
     this.notifyProgress({
-      stage: 'completed',
-      total: results.length,
-      completed: successCount,
-      failed: failureCount
+      stage: 'packaging',
+      total: files.length,
+      completed: 0
     });
     
-    return results;
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+      const bytes = await this.getResultBytes(file);
+      const path = this.getArchivePath(marketplace, file, usedPaths);
+      
+      archive.addFile(path, bytes);
+      
+      manifest.files.push({
+        path,
+        view: file.viewName,
+        type: file.type || this.templates?.getImageType(file.viewName) || null,
+        resolution: file.resolution || null,
+        format: file.format || null,
+        template: manifest.template.name,
+        size: bytes.length,
+        checksum: await this.computeChecksum(bytes),
+        ...(file.stats ? { stats: file.stats } : {}),
+        ...(file.shot ? { shot: file.shot } : {}),
+        ...(file.requestedContainer && file.requestedContainer !== file.container ? { requestedContainer: file.requestedContainer } : {}),
+        validation: this.templates
+          ? await this.templates.validateFile(marketplace, file)
+          : { valid: true, warnings: [], errors: [] }
+      });
+      
+      this.notifyProgress({
+        stage: 'packaging',
+        total: files.length,
+        completed: i + 1,
+        current: path
+      });
+    }
+    
+    manifest.summary = {
+      files: manifest.files.length,
+      failed: manifest.failed.length,
+      valid: manifest.files.filter((f) => f.validation.valid).length,
+      invalid: manifest.files.filter((f) => !f.validation.valid).length
+    };
+    
+    archive.addFile('manifest.json', JSON.stringify(manifest, null, 2));
+    
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '_');
+    const blob = archive.generate();
+    
+    this.notifyProgress({
+      stage: 'packaged',
+      total: files.length,
+      completed: files.length,
+      size: blob.size
+    });
+    
+    return {
+      blob,
+      filename: `${marketplace}_export_${timestamp}.zip`,
+      manifest
+    };
+  }
+
+  /**
+   * Build a unique archive path for a result
+   */
+  getArchivePath(marketplace, result, usedPaths) {
+    let folder = result.type || 'views';
+    if (result.viewName === 'turntable') {
+      folder = 'turntable';
+    }
+    
+    let path = `${marketplace}/${folder}/${result.filename}`;
+    
+    // Suffix duplicates instead of overwriting them
+    if (usedPaths.has(path)) {
+      const dot = result.filename.lastIndexOf('.');
+      const base = dot > 0 ? result.filename.slice(0, dot) : result.filename;
+      const extension = dot > 0 ? result.filename.slice(dot) : '';
+      let index = 2;
+      
+      while (usedPaths.has(`${marketplace}/${folder}/${base}_${index}${extension}`)) {
+        index++;
+      }
+      path = `${marketplace}/${folder}/${base}_${index}${extension}`;
+    }
+    
+    usedPaths.add(path);
+    return path;
+  }
+
+  /**
+   * Get the binary content of a result (blob or data URL)
+   */
+  async getResultBytes(result) {
+    if (result.blob) {
+      return new Uint8Array(await result.blob.arrayBuffer());
+    }
+    
+    const [header, payload] = result.data.split(',');
+    if (!header.includes(';base64')) {
+      return new TextEncoder().encode(decodeURIComponent(payload));
+    }
+    
+    const binary = atob(payload);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    
+    return bytes;
+  }
+
+  /**
+   * Compute a SHA-256 checksum (hex) for file contents
+   * Falls back to the CRC-32 the archive stores when Web Crypto is missing (non-secure contexts such as a LAN IP)
+   */
+  async computeChecksum(bytes) {
+    try {
+      const digest = await window.crypto.subtle.digest('SHA-256', bytes);
+      const hex = Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+      
+      return `sha256:${hex}`;
+    } catch (error) {
+      console.warn('⚠️ SHA-256 unavailable, using CRC-32 checksums:', error);
+      return `crc32:${crc32(bytes).toString(16).padStart(8, '0')}`;
+    }
+  }
+
+  /**
+   * Convert a blob to a data URL
+   */
+  blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error('Failed to read encoded data'));
+      reader.readAsDataURL(blob);
+    });
   }
 
   /**
@@ -245,7 +916,7 @@ export class BatchProcessor {
       return validation;
     }
     
-    const successful = results.filter(r => r && r.success);
+    const successful = results.filter((r) => r && r.success);
     
     // Check minimum view count
     const viewCount = successful.filter(item => 
@@ -258,7 +929,7 @@ export class BatchProcessor {
     
     // Check wireframe if required
     if (template?.images?.wireframe?.required) {
-      const hasWireframe = successful.some(item => item.viewName === 'wireframe');
+      const hasWireframe = successful.some((item) => item.type === 'wireframe');
       if (!hasWireframe) {
         validation.errors.push('Missing required wireframe view');
         validation.valid = false;
@@ -297,8 +968,8 @@ export class BatchProcessor {
   updateStats(results) {
     if (!Array.isArray(results)) return;
     
-    const successful = results.filter(r => r && r.success);
-    const failed = results.filter(r => r && !r.success);
+    const successful = results.filter((r) => r && r.success);
+    const failed = results.filter((r) => r && !r.success);
     
     this.stats.totalJobs += results.length;
     this.stats.completedJobs += successful.length;
@@ -411,6 +1082,8 @@ export class BatchProcessor {
     this.errorCallback = null;
     this.imageExporter = null;
     this.templates = null;
+    this.animationEncoder = null;
+    this.uvLayoutExporter = null;
     
     console.log('🗑️ Batch processor disposed');
   }
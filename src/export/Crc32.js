@@ -0,0 +1,38 @@
+/**
+ * Crc32.js - CRC-32 Checksum
+ * Shared by the PNG chunk writer and the archive builder
+ */
+
+let crcTable = null;
+
+/**
+ * Build the CRC-32 lookup table (IEEE polynomial) on first use
+ */
+function getCrcTable() {
+  if (crcTable) return crcTable;
+
+  crcTable = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    crcTable[n] = c >>> 0;
+  }
+
+  return crcTable;
+}
+
+/**
+ * Compute the CRC-32 of a byte array, optionally continuing a previous value
+ */
+export function crc32(bytes, previous = 0) {
+  const table = getCrcTable();
+  let crc = (previous ^ 0xffffffff) >>> 0;
+
+  for (let i = 0; i < bytes.length; i++) {
+    crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+
+  return (crc ^ 0xffffffff) >>> 0;
+}
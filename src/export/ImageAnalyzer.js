@@ -0,0 +1,269 @@
+/**
+ * ImageAnalyzer.js - Pixel-Level Image Analysis
+ * Measures background color, borders and subject framing on exported bitmaps
+ */
+
+import { loadImage } from './ImageLoader.js';
+
+export class ImageAnalyzer {
+  constructor() {
+    this.settings = {
+      tolerance: 5, // Max per-channel RGB difference considered "same color"
+      subjectThreshold: 16, // Min per-channel difference for a pixel to count as subject
+      bandUniformity: 0.98, // Share of a row/column that must match for it to be a border band
+      clipThreshold: 0.005 // Share of an edge covered by the subject before it counts as clipped
+    };
+  }
+
+  /**
+   * Analyze an image (data URL, Blob, image or canvas)
+   * options.background is the expected background color (hex); without it the
+   * border color is used as reference and border bands are not detected
+   */
+  async analyze(source, options = {}) {
+    const imageData = await this.loadImageData(source);
+    return this.analyzeImageData(imageData, options);
+  }
+
+  /**
+   * Analyze raw RGBA pixels
+   */
+  analyzeImageData(imageData, options = {}) {
+    const { width, height } = imageData;
+    const tolerance = options.tolerance ?? this.settings.tolerance;
+    const threshold = Math.max(tolerance, this.settings.subjectThreshold);
+    
+    // Border ring color against the expected background
+    const borderPixels = this.sampleBorder(imageData);
+    const borderColor = this.medianColor(borderPixels);
+    const reference = options.background ? this.parseColor(options.background) : borderColor;
+    const matching = borderPixels.filter((pixel) => this.colorDistance(pixel, reference) <= tolerance).length;
+    
+    const bands = options.background
+      ? this.detectBands(imageData, reference, tolerance)
+      : { top: 0, right: 0, bottom: 0, left: 0 };
+    
+    return {
+      width,
+      height,
+      background: {
+        reference,
+        border: borderColor,
+        deviation: this.colorDistance(borderColor, reference),
+        match: borderPixels.length > 0 ? matching / borderPixels.length : 0
+      },
+      bands,
+      subject: this.findSubject(imageData, reference, threshold, bands)
+    };
+  }
+
+  /**
+   * Collect the outermost ring of pixels
+   */
+  sampleBorder(imageData) {
+    const { width, height } = imageData;
+    const pixels = [];
+    
+    for (let x = 0; x < width; x++) {
+      pixels.push(this.getPixel(imageData, x, 0));
+      if (height > 1) {
+        pixels.push(this.getPixel(imageData, x, height - 1));
+      }
+    }
+    
+    for (let y = 1; y < height - 1; y++) {
+      pixels.push(this.getPixel(imageData, 0, y));
+      if (width > 1) {
+        pixels.push(this.getPixel(imageData, width - 1, y));
+      }
+    }
+    
+    return pixels;
+  }
+
+  /**
+   * Measure uniform bands (borders, letterboxing) that differ from the background on each side
+   * A band stops where its color does and must differ from the content background next to it,
+   * so a background that is slightly off everywhere is not mistaken for bands reaching the model
+   */
+  detectBands(imageData, reference, tolerance) {
+    const { width, height } = imageData;
+    
+    const isUniform = (count, pixelAt, color) => {
+      let uniform = 0;
+      for (let i = 0; i < count; i++) {
+        if (this.colorDistance(pixelAt(i), color) <= tolerance) {
+          uniform++;
+        }
+      }
+      
+      return uniform / count >= this.settings.bandUniformity;
+    };
+    
+    const measure = (limit, count, pixelAt) => {
+      const color = pixelAt(0, 0);
+      if (this.colorDistance(color, reference) <= tolerance) {
+        return 0;
+      }
+      
+      let size = 0;
+      while (size < limit && isUniform(count, (i) => pixelAt(size, i), color)) {
+        size++;
+      }
+      if (size === 0) return 0;
+      
+      // Content with the band color means the whole background is off, not a border
+      const inner = this.medianColor(Array.from({ length: count }, (_, i) => pixelAt(size, i)));
+      return this.colorDistance(inner, color) > tolerance ? size : 0;
+    };
+    
+    const maxRows = Math.floor(height / 2);
+    const maxColumns = Math.floor(width / 2);
+    
+    return {
+      top: measure(maxRows, width, (row, x) => this.getPixel(imageData, x, row)),
+      bottom: measure(maxRows, width, (row, x) => this.getPixel(imageData, x, height - 1 - row)),
+      left: measure(maxColumns, height, (column, y) => this.getPixel(imageData, column, y)),
+      right: measure(maxColumns, height, (column, y) => this.getPixel(imageData, width - 1 - column, y))
+    };
+  }
+
+  /**
+   * Locate the subject inside the content area (image minus border bands)
+   */
+  findSubject(imageData, reference, threshold, bands) {
+    const { width, data } = imageData;
+    const { left, top } = bands;
+    const right = imageData.width - bands.right - 1;
+    const bottom = imageData.height - bands.bottom - 1;
+    
+    const contentWidth = Math.max(0, right - left + 1);
+    const contentHeight = Math.max(0, bottom - top + 1);
+    const edges = { top: 0, right: 0, bottom: 0, left: 0 };
+    
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -1;
+    let maxY = -1;
+    let count = 0;
+    
+    for (let y = top; y <= bottom; y++) {
+      for (let x = left; x <= right; x++) {
+        const offset = (y * width + x) * 4;
+        const distance = Math.max(
+          Math.abs(data[offset] - reference.r),
+          Math.abs(data[offset + 1] - reference.g),
+          Math.abs(data[offset + 2] - reference.b)
+        );
+        
+        // Transparent pixels are background regardless of color
+        if (distance <= threshold || data[offset + 3] === 0) {
+          continue;
+        }
+        
+        count++;
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+        
+        if (y === top) edges.top++;
+        if (y === bottom) edges.bottom++;
+        if (x === left) edges.left++;
+        if (x === right) edges.right++;
+      }
+    }
+    
+    if (count === 0) {
+      return {
+        bounds: null,
+        coverage: 0,
+        fill: 0,
+        clipped: { top: false, right: false, bottom: false, left: false }
+      };
+    }
+    
+    const bounds = { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+    const clipped = (edgeCount, edgeLength) => edgeCount / edgeLength > this.settings.clipThreshold;
+    
+    return {
+      bounds,
+      coverage: count / (contentWidth * contentHeight),
+      // Largest extent relative to the frame, so thin objects aren't penalized
+      fill: Math.max(bounds.width / contentWidth, bounds.height / contentHeight),
+      clipped: {
+        top: clipped(edges.top, contentWidth),
+        right: clipped(edges.right, contentHeight),
+        bottom: clipped(edges.bottom, contentWidth),
+        left: clipped(edges.left, contentHeight)
+      }
+    };
+  }
+
+  /**
+   * Read one RGB pixel
+   */
+  getPixel(imageData, x, y) {
+    const offset = (y * imageData.width + x) * 4;
+    
+    return {
+      r: imageData.data[offset],
+      g: imageData.data[offset + 1],
+      b: imageData.data[offset + 2]
+    };
+  }
+
+  /**
+   * Per-channel median color, robust to a few subject pixels on the border
+   */
+  medianColor(pixels) {
+    if (pixels.length === 0) {
+      return { r: 0, g: 0, b: 0 };
+    }
+    
+    const median = (channel) => {
+      const values = pixels.map((pixel) => pixel[channel]).sort((a, b) => a - b);
+      return values[Math.floor(values.length / 2)];
+    };
+    
+    return { r: median('r'), g: median('g'), b: median('b') };
+  }
+
+  /**
+   * Largest per-channel difference between two colors
+   */
+  colorDistance(a, b) {
+    return Math.max(Math.abs(a.r - b.r), Math.abs(a.g - b.g), Math.abs(a.b - b.b));
+  }
+
+  /**
+   * Parse a #rrggbb color
+   */
+  parseColor(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    
+    return {
+      r: (value >> 16) & 0xff,
+      g: (value >> 8) & 0xff,
+      b: value & 0xff
+    };
+  }
+
+  /**
+   * Decode an image source into RGBA pixels
+   */
+  async loadImageData(source) {
+    const image = await loadImage(source);
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(image, 0, 0);
+    
+    return ctx.getImageData(0, 0, width, height);
+  }
+}
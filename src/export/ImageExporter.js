@@ -5,6 +5,36 @@
 
 import * as THREE from 'three';
 
+// Unlit shader showing a single material channel, used for channel breakdown renders
+const CHANNEL_VERTEX_SHADER = /* glsl */`
+  attribute vec2 uv1;
+  uniform mat3 mapTransform;
+  uniform bool mapUsesUv1;
+  varying vec2 vMapUv;
+
+  void main() {
+    vMapUv = (mapTransform * vec3(mapUsesUv1 ? uv1 : uv, 1.0)).xy;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const CHANNEL_FRAGMENT_SHADER = /* glsl */`
+  uniform sampler2D map;
+  uniform bool hasMap;
+  uniform vec4 swizzle; // Picks one texel component, zero keeps RGB
+  uniform vec3 factor;
+  uniform bool colorData; // Color channels are encoded for display, data channels shown raw
+  varying vec2 vMapUv;
+
+  void main() {
+    vec4 texel = hasMap ? texture2D(map, vMapUv) : vec4(1.0);
+    vec3 value = dot(swizzle, vec4(1.0)) > 0.0 ? vec3(dot(texel, swizzle)) : texel.rgb;
+    value *= factor;
+    
+    gl_FragColor = colorData ? linearToOutputTexel(vec4(value, 1.0)) : vec4(value, 1.0);
+  }
+`;
+
 export class ImageExporter {
   constructor(renderer, cameraManager) {
     this.renderer = renderer;
@@ -38,6 +68,9 @@ export class ImageExporter {
       gradient: null // Will be generated
     };
     
+    // PBR channels for material breakdown renders
+    this.materialChannels = ['albedo', 'normal', 'roughness', 'metalness', 'ao', 'emissive'];
+    
     this.isExporting = false;
   }
 
@@ -64,20 +97,54 @@ export class ImageExporter {
     // Prepare export settings
     const exportOptions = this.prepareExportOptions(viewName, options);
     
-    // Get the current canvas
+    // Get the current canvas (named cameras have no viewport and always render off-screen)
     const canvas = this.renderer.canvases[viewName];
-    if (!canvas) {
+    if (!canvas && !camera.userData.named) {
       throw new Error(`Canvas not found for view: ${viewName}`);
     }
     
     let imageData;
     
-    if (exportOptions.highResolution) {
-      // High-resolution export using off-screen rendering
-      imageData = await this.captureHighResolution(viewName, camera, exportOptions);
-    } else {
-      // Simple capture from current canvas with aspect ratio correction
-      imageData = await this.captureCurrentResolution(viewName, camera, exportOptions);
+    // Wireframe shots switch the model materials only for this capture
+    if (exportOptions.wireframe) {
+      this.scene.setWireframe(true);
+    }
+    
+    // Analysis overlays are for the viewports only
+    const overlayVisible = this.scene.analysisOverlay?.visible;
+    this.scene.setAnalysisOverlayVisible(false);
+    
+    // Dimension lines, measurements and the scale reference only appear in images that ask for them
+    // The orientation gizmo never does, nor dimension lines once the rig is orbited off the axes they measure
+    const sceneObject = this.scene.getScene();
+    const annotations = [
+      { object: sceneObject.getObjectByName('orientationGizmo'), include: false },
+      { object: sceneObject.getObjectByName('dimensionLines'), include: exportOptions.dimensions && !this.cameraManager.isOrbited() },
+      { object: sceneObject.getObjectByName('measurements'), include: exportOptions.measurements },
+      { object: this.scene.scaleReference?.object, include: exportOptions.scaleReference }
+    ].filter((annotation) => annotation.object);
+    
+    annotations.forEach((annotation) => {
+      annotation.visible = annotation.object.visible;
+      annotation.object.visible = Boolean(annotation.include);
+    });
+    
+    try {
+      if (exportOptions.highResolution || !canvas) {
+        // High-resolution export using off-screen rendering
+        imageData = await this.captureHighResolution(viewName, camera, exportOptions);
+      } else {
+        // Simple capture from current canvas with aspect ratio correction
+        imageData = await this.captureCurrentResolution(viewName, camera, exportOptions);
+      }
+    } finally {
+      if (exportOptions.wireframe) {
+        this.scene.setWireframe(false);
+      }
+      this.scene.setAnalysisOverlayVisible(Boolean(overlayVisible));
+      annotations.forEach((annotation) => {
+        annotation.object.visible = annotation.visible;
+      });
     }
     
     return {
@@ -111,7 +178,7 @@ export class ImageExporter {
       background: options.background
     });
     
-    return canvas.toDataURL(options.format, options.quality);
+    return this.canvasToDataURL(canvas, options);
   }
 
   /**
@@ -140,7 +207,7 @@ export class ImageExporter {
       offscreenRenderer.render(sceneObject, exportCamera);
       
       // Capture image
-      const imageData = offscreenCanvas.toDataURL(options.format, options.quality);
+      const imageData = this.canvasToDataURL(offscreenCanvas, options);
       
       // Restore original background
       if (options.background !== undefined) {
@@ -150,17 +217,40 @@ export class ImageExporter {
       return imageData;
       
     } finally {
-      // Always cleanup
+      // Always cleanup, releasing the WebGL context so batches don't exhaust the browser limit
       offscreenRenderer.dispose();
+      offscreenRenderer.forceContextLoss();
     }
   }
 
+  /**
+   * Encode a rendered canvas, compositing it onto the exact background color if requested
+   */
+  canvasToDataURL(canvas, options) {
+    if (!options.compositeColor) {
+      return canvas.toDataURL(options.format, options.quality);
+    }
+    
+    // The 2D fill is in display space, so background bytes match the template value
+    // exactly whatever tone mapping or exposure was applied to the model
+    const output = document.createElement('canvas');
+    output.width = canvas.width;
+    output.height = canvas.height;
+    
+    const ctx = output.getContext('2d');
+    ctx.fillStyle = options.compositeColor;
+    ctx.fillRect(0, 0, output.width, output.height);
+    ctx.drawImage(canvas, 0, 0);
+    
+    return output.toDataURL(options.format, options.quality);
+  }
+
   /**
    * Create export camera with correct aspect ratio
    */
   createExportCamera(originalCamera, aspectRatio) {
     if (originalCamera.isOrthographicCamera) {
-      const frustumSize = this.cameraManager.frustumSize || 4;
+      const frustumSize = originalCamera.userData.frustumSize || this.cameraManager.frustumSize || 4;
       
       const exportCamera = new THREE.OrthographicCamera(
         -frustumSize * aspectRatio / 2,  // left
@@ -173,13 +263,14 @@ export class ImageExporter {
       
       // Copy position and orientation
       exportCamera.position.copy(originalCamera.position);
-      exportCamera.lookAt(this.cameraManager.target);
+      exportCamera.quaternion.copy(originalCamera.quaternion); // Keeps the roll of an orbited rig
       exportCamera.up.copy(originalCamera.up);
+      exportCamera.layers.mask = originalCamera.layers.mask; // Per-view overlays such as dimension lines
       exportCamera.updateProjectionMatrix();
       
       return exportCamera;
     } else {
-      // For perspective cameras
+      // Perspective cameras keep their dolly distance and FOV, and their layers through clone
       const exportCamera = originalCamera.clone();
       exportCamera.aspect = aspectRatio;
       exportCamera.updateProjectionMatrix();
@@ -191,19 +282,7 @@ export class ImageExporter {
    * Update camera aspect ratio
    */
   updateCameraAspectRatio(camera, aspectRatio) {
-    if (camera.isOrthographicCamera) {
-      const frustumSize = this.cameraManager.frustumSize || 4;
-      
-      camera.left = -frustumSize * aspectRatio / 2;
-      camera.right = frustumSize * aspectRatio / 2;
-      camera.top = frustumSize / 2;
-      camera.bottom = -frustumSize / 2;
-      
-      camera.updateProjectionMatrix();
-    } else if (camera.isPerspectiveCamera) {
-      camera.aspect = aspectRatio;
-      camera.updateProjectionMatrix();
-    }
+    this.cameraManager.setCameraAspect(camera, aspectRatio);
   }
 
   /**
@@ -251,6 +330,10 @@ export class ImageExporter {
       quality: 0.95,
       background: this.backgroundPresets.turbosquid,
       wireframe: false,
+      dimensions: false, // Burn the dimension lines into the image
+      measurements: false, // Burn the point-to-point measurements into the image
+      scaleReference: false, // Show the scale reference object (dedicated scale shots only)
+      compositeBackground: false, // Render over transparency, then fill the exact background color
       shadows: true,
       antiAlias: true,
       filename: null,
@@ -258,6 +341,7 @@ export class ImageExporter {
     };
     
     const exportOptions = { ...defaults, ...options };
+    exportOptions.resolution = exportOptions.resolution || defaults.resolution;
     
     // Resolve resolution preset
     if (typeof exportOptions.resolution === 'string') {
@@ -279,11 +363,23 @@ export class ImageExporter {
     
     // Resolve background
     if (typeof exportOptions.background === 'string') {
-      exportOptions.background = this.backgroundPresets[exportOptions.background];
+      exportOptions.background = this.resolveBackground(exportOptions.background);
+    }
+    
+    // Compositing only applies to solid colors; the model is rendered over transparency
+    exportOptions.compositeColor = null;
+    if (exportOptions.compositeBackground && exportOptions.background?.isColor) {
+      exportOptions.compositeColor = `#${exportOptions.background.getHexString()}`;
+      exportOptions.background = null;
     }
     
     // Determine if high-resolution export is needed
-    if (canvasSize) {
+    if (typeof options.highResolution === 'boolean') {
+      exportOptions.highResolution = options.highResolution;
+    } else if (options.maintainAspectRatio === false) {
+      // An exact output size can only be guaranteed by the off-screen renderer
+      exportOptions.highResolution = true;
+    } else if (canvasSize) {
       const scaleFactor = exportOptions.resolution.width / canvasSize.renderWidth;
       exportOptions.highResolution = scaleFactor > 1.5; // Use high-res for significant upscaling
     }
@@ -291,6 +387,22 @@ export class ImageExporter {
     return exportOptions;
   }
 
+  /**
+   * Resolve a background preset name or CSS hex color
+   * Unknown names (e.g. 'flexible') keep the current scene background
+   */
+  resolveBackground(background) {
+    if (background in this.backgroundPresets) {
+      return this.backgroundPresets[background];
+    }
+    
+    if (/^#[0-9a-f]{6}$/i.test(background)) {
+      return new THREE.Color(background);
+    }
+    
+    return this.scene?.getScene().background;
+  }
+
   /**
    * Generate filename for export
    */
@@ -341,38 +453,163 @@ export class ImageExporter {
   }
 
   /**
-   * Create turntable sequence
+   * Create turntable sequence by orbiting the camera (or spinning the model)
+   * through a full 360° around the vertical axis
    */
   async captureTurntable(options = {}) {
+    if (!this.scene) {
+      throw new Error('Scene not set. Call setScene() first.');
+    }
+    
+    const turntableTemplate = options.template?.images?.turntable || {};
     const {
-      frames = 24,
-      viewName = 'front'
+      viewName = 'front',
+      elevation = turntableTemplate.elevation ?? 0, // Degrees above the horizon
+      direction = turntableTemplate.direction || 'clockwise', // As seen from above
+      mode = turntableTemplate.mode || 'camera' // 'camera' orbits, 'model' spins
     } = options;
     
+    const camera = this.cameraManager.getCamera(viewName);
+    if (!camera) {
+      throw new Error(`Camera not found for view: ${viewName}`);
+    }
+    
+    const frames = this.resolveTurntableFrames(options.frames, turntableTemplate.frames);
+    const step = (Math.PI * 2 / frames) * (direction === 'counterclockwise' ? -1 : 1);
+    
+    // Template output settings apply unless overridden by the caller
+    const frameDefaults = {};
+    if (turntableTemplate.resolution) {
+      frameDefaults.resolution = turntableTemplate.resolution;
+      frameDefaults.maintainAspectRatio = false;
+    }
+    if (turntableTemplate.format) {
+      frameDefaults.format = turntableTemplate.format;
+    }
+    if (turntableTemplate.compositeBackground) {
+      frameDefaults.compositeBackground = true;
+    }
+    
+    // Remember the original pose so the scene is left untouched afterwards
+    const originalPose = this.saveTurntablePose(camera);
     const results = [];
     
-    // For now, just capture the current view multiple times
-    // In a full implementation, this would rotate the camera
-    for (let frame = 0; frame < frames; frame++) {
-      const frameOptions = {
-        ...options,
-        filename: `turntable_frame_${frame.toString().padStart(3, '0')}`
-      };
-      
-      const result = await this.captureView(viewName, frameOptions);
-      results.push({
-        ...result,
-        frame,
-        angle: (frame / frames) * 360
-      });
-      
-      // Small delay between frames
-      await this.delay(50);
+    try {
+      for (let frame = 0; frame < frames; frame++) {
+        this.applyTurntablePose(camera, viewName, frame * step, elevation, mode, originalPose);
+        
+        const frameOptions = {
+          ...frameDefaults,
+          ...options,
+          filename: `turntable_frame_${frame.toString().padStart(3, '0')}`
+        };
+        
+        const result = await this.captureView(viewName, frameOptions);
+        const extension = (result.format || 'image/png').split('/')[1] || 'png';
+        
+        results.push({
+          ...result,
+          filename: `${frameOptions.filename}.${extension}`,
+          frame,
+          frames,
+          angle: (frame / frames) * 360,
+          elevation,
+          direction
+        });
+        
+        // Small delay between frames
+        await this.delay(50);
+      }
+    } finally {
+      this.restoreTurntablePose(camera, originalPose);
     }
     
     return results;
   }
 
+  /**
+   * Resolve turntable frame count within the template's min/max range
+   */
+  resolveTurntableFrames(requested, range = {}) {
+    const min = range.min || 1;
+    const max = range.max || Infinity;
+    const frames = Math.round(requested || range.min || 24);
+    
+    const clamped = Math.min(max, Math.max(min, frames));
+    if (clamped !== frames) {
+      console.warn(`Turntable frames ${frames} out of range, using ${clamped} (${min}-${max})`);
+    }
+    
+    return clamped;
+  }
+
+  /**
+   * Snapshot camera and model transforms before a turntable capture
+   */
+  saveTurntablePose(camera) {
+    return {
+      camera: {
+        position: camera.position.clone(),
+        quaternion: camera.quaternion.clone(),
+        up: camera.up.clone()
+      },
+      models: this.scene.models.map((model) => ({
+        model,
+        position: model.position.clone(),
+        quaternion: model.quaternion.clone()
+      }))
+    };
+  }
+
+  /**
+   * Place camera and models for a turntable frame at the given angle (radians)
+   */
+  applyTurntablePose(camera, viewName, angle, elevation, mode, originalPose) {
+    const { target } = this.cameraManager;
+    const distance = originalPose.camera.position.distanceTo(target) || this.cameraManager.distance;
+    
+    // Start from the view's horizontal heading; top/bottom fall back to front
+    const viewDirection = this.cameraManager.viewPositions[viewName] || new THREE.Vector3(0, 0, 1);
+    const horizontal = new THREE.Vector3(viewDirection.x, 0, viewDirection.z);
+    const baseAzimuth = horizontal.lengthSq() > 0 ? Math.atan2(horizontal.x, horizontal.z) : 0;
+    
+    const cameraAzimuth = mode === 'model' ? baseAzimuth : baseAzimuth + angle;
+    const polar = THREE.MathUtils.degToRad(90 - THREE.MathUtils.clamp(elevation, -89, 89));
+    const offset = new THREE.Vector3().setFromSphericalCoords(distance, polar, cameraAzimuth);
+    
+    camera.position.copy(target).add(offset);
+    camera.up.set(0, 1, 0);
+    camera.lookAt(target);
+    camera.updateMatrixWorld();
+    
+    if (mode === 'model') {
+      // Spin models around the vertical axis through the camera target
+      const rotation = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), -angle);
+      
+      originalPose.models.forEach(({ model, position, quaternion }) => {
+        model.position.copy(position).sub(target).applyQuaternion(rotation).add(target);
+        model.quaternion.copy(rotation).multiply(quaternion);
+        model.updateMatrixWorld(true);
+      });
+    }
+  }
+
+  /**
+   * Restore camera and model transforms after a turntable capture
+   */
+  restoreTurntablePose(camera, originalPose) {
+    camera.position.copy(originalPose.camera.position);
+    camera.quaternion.copy(originalPose.camera.quaternion);
+    camera.up.copy(originalPose.camera.up);
+    camera.updateMatrixWorld();
+    
+    originalPose.models.forEach(({ model, position, quaternion }) => {
+      model.position.copy(position);
+      model.quaternion.copy(quaternion);
+      model.updateMatrixWorld(true);
+    });
+  }
+
   /**
    * Create contact sheet with proper aspect ratios
    */
@@ -447,6 +684,236 @@ export class ImageExporter {
     return canvas.toDataURL('image/png', 0.95);
   }
 
+  /**
+   * Render the model once per material channel, with individual images and a labeled sheet
+   */
+  async captureMaterialChannels(viewName = 'front', options = {}) {
+    if (!this.scene) {
+      throw new Error('Scene not set. Call setScene() first.');
+    }
+    
+    const {
+      channels = this.materialChannels,
+      background = '#1a1a1a',
+      sheet = true,
+      cols = 3,
+      padding = 20,
+      marketplace = 'export',
+      ...captureOptions
+    } = options;
+    
+    const meshes = [];
+    this.scene.models.forEach((model) => {
+      model.traverse((child) => {
+        if (child.isMesh && child.material) {
+          meshes.push({ mesh: child, material: child.material });
+        }
+      });
+    });
+    
+    const results = [];
+    
+    for (const channel of channels) {
+      const overrides = new Map();
+      const getOverride = (source) => {
+        if (!overrides.has(source)) {
+          overrides.set(source, this.createChannelMaterial(source, channel));
+        }
+        return overrides.get(source);
+      };
+      
+      try {
+        // Swap every material for its single-channel version
+        meshes.forEach(({ mesh, material }) => {
+          mesh.material = Array.isArray(material) ? material.map(getOverride) : getOverride(material);
+        });
+        
+        const result = await this.captureView(viewName, {
+          ...captureOptions,
+          marketplace,
+          background,
+          wireframe: false,
+          compositeBackground: false
+        });
+        
+        results.push({
+          ...result,
+          channel,
+          label: this.getChannelDisplayName(channel),
+          filename: this.generateFilename(`${viewName}_${channel}`, {
+            marketplace,
+            format: result.format,
+            resolution: result.resolution
+          })
+        });
+      } finally {
+        // Original materials are always restored, even if a pass failed
+        meshes.forEach(({ mesh, material }) => {
+          mesh.material = material;
+        });
+        overrides.forEach((override) => override.dispose());
+      }
+      
+      await this.delay(50);
+    }
+    
+    const contactSheet = sheet
+      ? await this.createChannelSheet(results, { cols, padding, marketplace, viewName })
+      : null;
+    
+    return { channels: results, contactSheet };
+  }
+
+  /**
+   * Create an unlit material showing one channel of a source material
+   */
+  createChannelMaterial(material, channel) {
+    const white = new THREE.Color(1, 1, 1);
+    const config = {
+      map: null,
+      swizzle: new THREE.Vector4(0, 0, 0, 0),
+      factor: white,
+      colorData: false
+    };
+    
+    switch (channel) {
+      case 'albedo':
+        config.map = material.map || null;
+        config.factor = material.color || white;
+        config.colorData = true;
+        break;
+      case 'normal':
+        config.map = material.normalMap || null;
+        // Flat tangent-space normal when there is no map
+        config.factor = config.map ? white : new THREE.Color(0.5, 0.5, 1);
+        break;
+      case 'roughness':
+        // glTF packs roughness in G and metalness in B
+        config.map = material.roughnessMap || null;
+        config.swizzle.set(0, 1, 0, 0);
+        config.factor = new THREE.Color().setScalar(material.roughness ?? 1);
+        break;
+      case 'metalness':
+        config.map = material.metalnessMap || null;
+        config.swizzle.set(0, 0, 1, 0);
+        config.factor = new THREE.Color().setScalar(material.metalness ?? 0);
+        break;
+      case 'ao':
+        config.map = material.aoMap || null;
+        config.swizzle.set(1, 0, 0, 0);
+        break;
+      case 'emissive':
+        config.map = material.emissiveMap || null;
+        config.factor = material.emissive
+          ? material.emissive.clone().multiplyScalar(material.emissiveIntensity ?? 1)
+          : new THREE.Color(0, 0, 0);
+        config.colorData = true;
+        break;
+      default:
+        throw new Error(`Unknown material channel: ${channel}`);
+    }
+    
+    if (config.map) {
+      config.map.updateMatrix();
+    }
+    
+    return new THREE.ShaderMaterial({
+      name: `${material.name || 'material'}_${channel}`,
+      uniforms: {
+        map: { value: config.map },
+        hasMap: { value: Boolean(config.map) },
+        mapTransform: { value: config.map ? config.map.matrix.clone() : new THREE.Matrix3() },
+        mapUsesUv1: { value: config.map?.channel === 1 },
+        swizzle: { value: config.swizzle },
+        factor: { value: config.factor.clone() },
+        colorData: { value: config.colorData }
+      },
+      vertexShader: CHANNEL_VERTEX_SHADER,
+      fragmentShader: CHANNEL_FRAGMENT_SHADER,
+      side: material.side,
+      toneMapped: false
+    });
+  }
+
+  /**
+   * Lay channel renders out on a labeled sheet
+   */
+  async createChannelSheet(results, options = {}) {
+    const {
+      cols = 3,
+      padding = 20,
+      labelHeight = 50,
+      background = '#ffffff',
+      marketplace = 'export',
+      viewName = 'front'
+    } = options;
+    
+    const images = results.filter((result) => result.imageData);
+    if (images.length === 0) {
+      return null;
+    }
+    
+    const { width: cellWidth, height: cellHeight } = images[0].resolution;
+    const rows = Math.ceil(images.length / cols);
+    const columns = Math.min(cols, images.length);
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = columns * cellWidth + padding * (columns + 1);
+    canvas.height = rows * (cellHeight + labelHeight) + padding * (rows + 1);
+    
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    
+    for (let i = 0; i < images.length; i++) {
+      const col = i % cols;
+      const row = Math.floor(i / cols);
+      const x = padding + col * (cellWidth + padding);
+      const y = padding + row * (cellHeight + labelHeight + padding);
+      
+      const img = new Image();
+      await new Promise((resolve, reject) => {
+        img.onload = resolve;
+        img.onerror = () => reject(new Error(`Failed to load ${images[i].channel} render`));
+        img.src = images[i].imageData;
+      });
+      
+      ctx.drawImage(img, x, y, cellWidth, cellHeight);
+      
+      ctx.fillStyle = '#000000';
+      ctx.font = `${Math.round(labelHeight * 0.6)}px Arial`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(images[i].label, x + cellWidth / 2, y + cellHeight + labelHeight / 2);
+    }
+    
+    const format = 'image/png';
+    const resolution = { width: canvas.width, height: canvas.height };
+    
+    return {
+      imageData: canvas.toDataURL(format),
+      resolution,
+      format,
+      filename: this.generateFilename(`${viewName}_channels`, { marketplace, format, resolution })
+    };
+  }
+
+  /**
+   * Get display name for a material channel
+   */
+  getChannelDisplayName(channel) {
+    const names = {
+      albedo: 'Albedo',
+      normal: 'Normal',
+      roughness: 'Roughness',
+      metalness: 'Metalness',
+      ao: 'Ambient Occlusion',
+      emissive: 'Emissive'
+    };
+    
+    return names[channel] || channel;
+  }
+
   /**
    * Get display name for view
    */
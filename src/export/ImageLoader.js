@@ -0,0 +1,33 @@
+/**
+ * ImageLoader.js - Image Decoding
+ * Shared by the animation encoder and the image analyzer
+ */
+
+/**
+ * Load a data URL, object URL or Blob as a drawable image (canvases and images are returned as-is)
+ */
+export async function loadImage(source) {
+  if (source instanceof HTMLCanvasElement || source instanceof HTMLImageElement) {
+    return source;
+  }
+
+  const url = source instanceof Blob ? URL.createObjectURL(source) : source;
+  if (typeof url !== 'string') {
+    throw new Error('Invalid image data');
+  }
+
+  const img = new Image();
+  try {
+    await new Promise((resolve, reject) => {
+      img.onload = resolve;
+      img.onerror = () => reject(new Error('Failed to decode image'));
+      img.src = url;
+    });
+  } finally {
+    if (source instanceof Blob) {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  return img;
+}
@@ -0,0 +1,528 @@
+/**
+ * ModelOptimizer.js - Optimized GLB Export
+ * Welds, prunes and quantizes a copy of the model, and Meshopt-compresses the exported GLB
+ */
+
+import * as THREE from 'three';
+import { mergeVertices } from 'three/addons/utils/BufferGeometryUtils.js';
+import { clone as cloneObject } from 'three/addons/utils/SkeletonUtils.js';
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+const MESHOPT_EXTENSION = 'EXT_meshopt_compression';
+
+// Texture slots and the attributes they need
+const NORMAL_MAP_SLOTS = ['normalMap', 'clearcoatNormalMap'];
+
+export class ModelOptimizer {
+  constructor() {
+    this.settings = {
+      weld: true,
+      weldTolerance: 1e-4,
+      prune: true,
+      maxTextureSize: 2048, // Infinity keeps original texture sizes
+      compression: 'none' // 'quantize' (KHR_mesh_quantization) or 'meshopt' (quantized + EXT_meshopt_compression)
+    };
+  }
+
+  /**
+   * Build an optimized copy of a model, ready for GLTFExporter
+   * The original model and its geometries are left untouched
+   */
+  prepare(model, options = {}) {
+    const settings = this.mergeSettings(options);
+    const animations = model.userData.animations || [];
+    const stats = { removedNodes: 0, removedMaterials: 0, removedAttributes: 0, weldedVertices: 0, quantizedMeshes: 0 };
+    
+    // The root userData holds the loader output, which is circular and can't be copied
+    const { userData } = model;
+    let scene;
+    try {
+      model.userData = {};
+      scene = cloneObject(model);
+    } finally {
+      model.userData = userData;
+    }
+    
+    // Drop the viewer's centering and fit-to-view transform
+    scene.position.set(0, 0, 0);
+    scene.quaternion.identity();
+    scene.scale.set(1, 1, 1);
+    
+    if (settings.prune) {
+      this.pruneNodes(scene, this.getAnimatedNodes(animations), stats);
+    }
+    
+    // Instanced geometries are processed once
+    const processed = new Map();
+    const animatedNodes = this.getAnimatedNodes(animations);
+    const quantize = settings.compression === 'quantize' || settings.compression === 'meshopt';
+    
+    // Quantized positions need a node transform, which skinned, morphed or animated meshes can't take
+    // A shared geometry is only quantized when every mesh using it can
+    const quantizable = new Map();
+    if (quantize) {
+      scene.traverse((child) => {
+        if (!child.isMesh || !child.geometry) return;
+        
+        const { uuid } = child.geometry;
+        quantizable.set(uuid, quantizable.get(uuid) !== false && this.canQuantize(child, child.geometry, animatedNodes));
+      });
+    }
+    
+    scene.traverse((child) => {
+      if (!child.isMesh || !child.geometry) return;
+      
+      if (!processed.has(child.geometry.uuid)) {
+        let geometry = child.geometry.clone();
+        let materialIndices = null;
+        
+        if (settings.prune) {
+          materialIndices = this.pruneGroups(child, geometry);
+          this.pruneAttributes(child, geometry, stats);
+        }
+        
+        if (settings.weld && geometry.attributes.position) {
+          const before = geometry.attributes.position.count;
+          geometry = mergeVertices(geometry, settings.weldTolerance);
+          stats.weldedVertices += before - geometry.attributes.position.count;
+        }
+        
+        processed.set(child.geometry.uuid, { geometry, materialIndices, dequantize: null });
+      }
+      
+      const entry = processed.get(child.geometry.uuid);
+      
+      // Unused textures go away with their materials, GLTFExporter only writes what is referenced
+      if (entry.materialIndices) {
+        stats.removedMaterials += child.material.length - entry.materialIndices.length;
+        child.material = entry.materialIndices.map((index) => child.material[index]);
+        
+        if (entry.geometry.groups.length === 0) {
+          [child.material] = child.material;
+        }
+      }
+      
+      if (quantizable.get(child.geometry.uuid)) {
+        if (!entry.dequantize) {
+          entry.dequantize = this.quantizeGeometry(entry.geometry);
+        }
+        
+        this.applyDequantization(child, entry.dequantize);
+        stats.quantizedMeshes++;
+      }
+      
+      child.geometry = entry.geometry;
+    });
+    
+    scene.updateMatrixWorld(true);
+    
+    return { scene, animations, stats };
+  }
+
+  /**
+   * Names of the nodes targeted by animation tracks
+   */
+  getAnimatedNodes(animations) {
+    return new Set(animations.flatMap((clip) => clip.tracks.map((track) => track.name.split('.')[0])));
+  }
+
+  /**
+   * Remove empty groups that no animation targets
+   */
+  pruneNodes(scene, targets, stats) {
+    const isEmpty = (object) => !object.isMesh && !object.isPoints && !object.isLine &&
+      !object.isBone && !object.isLight && !object.isCamera && object.children.length === 0 &&
+      !targets.has(object.name) && !targets.has(object.uuid);
+    
+    // Children first, so branches that only hold empty groups disappear too
+    const prune = (object) => {
+      [...object.children].forEach((child) => {
+        prune(child);
+        
+        if (isEmpty(child)) {
+          object.remove(child);
+          stats.removedNodes++;
+        }
+      });
+    };
+    
+    prune(scene);
+  }
+
+  /**
+   * Remap geometry groups to the material slots they use
+   * Returns the kept slot indices, or null when every slot is used
+   */
+  pruneGroups(mesh, geometry) {
+    if (!Array.isArray(mesh.material)) return null;
+    
+    // Without groups only the first material is rendered
+    if (geometry.groups.length === 0) return [0];
+    
+    const used = [...new Set(geometry.groups.map((group) => group.materialIndex))]
+      .filter((index) => mesh.material[index])
+      .sort((a, b) => a - b);
+    
+    if (used.length === mesh.material.length) return null;
+    
+    geometry.groups = geometry.groups
+      .filter((group) => used.includes(group.materialIndex))
+      .map((group) => ({ ...group, materialIndex: used.indexOf(group.materialIndex) }));
+    
+    return used;
+  }
+
+  /**
+   * Drop vertex attributes the mesh materials don't read
+   */
+  pruneAttributes(mesh, geometry, stats) {
+    const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+    const textures = materials.flatMap((material) => Object.values(material).filter((value) => value?.isTexture));
+    
+    const unused = [];
+    
+    if (geometry.attributes.color && !materials.some((material) => material.vertexColors)) {
+      unused.push('color');
+    }
+    
+    if (geometry.attributes.tangent && !materials.some((material) => NORMAL_MAP_SLOTS.some((slot) => material[slot]))) {
+      unused.push('tangent');
+    }
+    
+    // Extra UV sets are only read by textures using their channel
+    ['uv1', 'uv2', 'uv3'].forEach((name, index) => {
+      if (geometry.attributes[name] && !textures.some((texture) => texture.channel === index + 1)) {
+        unused.push(name);
+      }
+    });
+    
+    unused.forEach((name) => geometry.deleteAttribute(name));
+    stats.removedAttributes += unused.length;
+  }
+
+  /**
+   * Check whether a mesh position can be quantized
+   */
+  canQuantize(mesh, geometry, animatedNodes) {
+    return !mesh.isSkinnedMesh &&
+      !mesh.isInstancedMesh &&
+      mesh.children.length === 0 &&
+      Object.keys(geometry.morphAttributes).length === 0 &&
+      !animatedNodes.has(mesh.name) &&
+      !animatedNodes.has(mesh.uuid);
+  }
+
+  /**
+   * Quantize positions, normals, tangents and UVs to normalized integers (KHR_mesh_quantization)
+   * Returns the center and scale that map quantized positions back to the original ones
+   */
+  quantizeGeometry(geometry) {
+    geometry.computeBoundingBox();
+    
+    const center = geometry.boundingBox.getCenter(new THREE.Vector3());
+    const size = geometry.boundingBox.getSize(new THREE.Vector3());
+    const scale = Math.max(size.x, size.y, size.z) / 2 || 1;
+    
+    const { position } = geometry.attributes;
+    const positions = new Int16Array(position.count * 3);
+    for (let i = 0; i < position.count; i++) {
+      positions[i * 3] = Math.round((position.getX(i) - center.x) / scale * 32767);
+      positions[i * 3 + 1] = Math.round((position.getY(i) - center.y) / scale * 32767);
+      positions[i * 3 + 2] = Math.round((position.getZ(i) - center.z) / scale * 32767);
+    }
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3, true));
+    
+    ['normal', 'tangent'].forEach((name) => {
+      const attribute = geometry.attributes[name];
+      if (attribute) {
+        geometry.setAttribute(name, this.quantizeAttribute(attribute, Int8Array, 127));
+      }
+    });
+    
+    // Normalized UVs only cover 0-1, tiling UVs stay in floats
+    ['uv', 'uv1', 'uv2', 'uv3'].forEach((name) => {
+      const attribute = geometry.attributes[name];
+      if (attribute && !attribute.normalized && this.isInUnitRange(attribute)) {
+        geometry.setAttribute(name, this.quantizeAttribute(attribute, Uint16Array, 65535));
+      }
+    });
+    
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+    
+    return { center, scale };
+  }
+
+  /**
+   * Check that all attribute values are within 0-1
+   */
+  isInUnitRange(attribute) {
+    for (let i = 0; i < attribute.count; i++) {
+      for (let c = 0; c < attribute.itemSize; c++) {
+        const value = attribute.getComponent(i, c);
+        if (value < 0 || value > 1) return false;
+      }
+    }
+    
+    return true;
+  }
+
+  /**
+   * Convert an attribute to normalized integers
+   */
+  quantizeAttribute(attribute, ArrayType, max) {
+    const array = new ArrayType(attribute.count * attribute.itemSize);
+    
+    for (let i = 0; i < attribute.count; i++) {
+      for (let c = 0; c < attribute.itemSize; c++) {
+        const value = THREE.MathUtils.clamp(attribute.getComponent(i, c), -1, 1);
+        array[i * attribute.itemSize + c] = Math.round(value * max);
+      }
+    }
+    
+    return new THREE.BufferAttribute(array, attribute.itemSize, true);
+  }
+
+  /**
+   * Move the dequantization (offset then uniform scale) into the mesh transform
+   */
+  applyDequantization(mesh, { center, scale }) {
+    const offset = center.clone().multiply(mesh.scale).applyQuaternion(mesh.quaternion);
+    
+    mesh.position.add(offset);
+    mesh.scale.multiplyScalar(scale);
+    mesh.updateMatrix();
+  }
+
+  /**
+   * Compress the geometry buffer views of a GLB with EXT_meshopt_compression
+   */
+  async compressMeshopt(glb) {
+    const { MeshoptEncoder } = await import('meshoptimizer/encoder');
+    await MeshoptEncoder.ready;
+    
+    const { json, bin } = this.parseGLB(glb);
+    const targets = this.getMeshoptTargets(json);
+    
+    const chunks = [];
+    let mainLength = 0;
+    let fallbackLength = 0;
+    
+    const append = (bytes) => {
+      const offset = mainLength;
+      chunks.push(bytes);
+      mainLength += bytes.length;
+      
+      // Keep every view 4-byte aligned
+      const padding = (4 - (mainLength % 4)) % 4;
+      if (padding > 0) {
+        chunks.push(new Uint8Array(padding));
+        mainLength += padding;
+      }
+      
+      return offset;
+    };
+    
+    json.bufferViews.forEach((view, index) => {
+      const start = view.byteOffset || 0;
+      const target = targets.get(index);
+      
+      if (!target) {
+        view.buffer = 0;
+        view.byteOffset = append(bin.subarray(start, start + view.byteLength));
+        return;
+      }
+      
+      const byteLength = target.count * target.byteStride;
+      const encoded = MeshoptEncoder.encodeGltfBuffer(
+        bin.subarray(start, start + byteLength),
+        target.count,
+        target.byteStride,
+        target.mode
+      );
+      
+      view.extensions = {
+        ...view.extensions,
+        [MESHOPT_EXTENSION]: {
+          buffer: 0,
+          byteOffset: append(encoded),
+          byteLength: encoded.length,
+          byteStride: target.byteStride,
+          count: target.count,
+          mode: target.mode
+        }
+      };
+      
+      // Decoded data goes to a fallback buffer that holds no bytes
+      view.buffer = 1;
+      view.byteOffset = fallbackLength;
+      view.byteLength = byteLength;
+      fallbackLength += Math.ceil(byteLength / 4) * 4;
+    });
+    
+    if (targets.size === 0) {
+      return glb;
+    }
+    
+    json.buffers = [
+      { byteLength: mainLength },
+      { byteLength: fallbackLength, extensions: { [MESHOPT_EXTENSION]: { fallback: true } } }
+    ];
+    
+    json.extensionsUsed = [...new Set([...(json.extensionsUsed || []), MESHOPT_EXTENSION])];
+    json.extensionsRequired = [...new Set([...(json.extensionsRequired || []), MESHOPT_EXTENSION])];
+    
+    const output = new Uint8Array(mainLength);
+    let offset = 0;
+    chunks.forEach((chunk) => {
+      output.set(chunk, offset);
+      offset += chunk.length;
+    });
+    
+    return this.buildGLB(json, output);
+  }
+
+  /**
+   * Find the vertex attribute and index buffer views Meshopt can encode
+   */
+  getMeshoptTargets(json) {
+    const targets = new Map();
+    const references = new Map();
+    
+    (json.accessors || []).forEach((accessor) => {
+      if (typeof accessor.bufferView === 'number') {
+        references.set(accessor.bufferView, (references.get(accessor.bufferView) || 0) + 1);
+      }
+    });
+    
+    const addTarget = (accessorIndex, mode) => {
+      const accessor = json.accessors[accessorIndex];
+      const view = json.bufferViews[accessor?.bufferView];
+      
+      // Only views holding exactly one tightly packed accessor
+      if (!view || accessor.byteOffset || references.get(accessor.bufferView) !== 1) return;
+      
+      const byteStride = mode === 'ATTRIBUTES' ? view.byteStride : (accessor.componentType === 5125 ? 4 : 2);
+      if (!byteStride || byteStride % (mode === 'ATTRIBUTES' ? 4 : 2) !== 0 || byteStride > 256) return;
+      
+      targets.set(accessor.bufferView, { mode, byteStride, count: accessor.count });
+    };
+    
+    (json.meshes || []).forEach((mesh) => {
+      mesh.primitives.forEach((primitive) => {
+        Object.values(primitive.attributes).forEach((index) => addTarget(index, 'ATTRIBUTES'));
+        (primitive.targets || []).forEach((target) => {
+          Object.values(target).forEach((index) => addTarget(index, 'ATTRIBUTES'));
+        });
+        
+        if (typeof primitive.indices === 'number') {
+          const isTriangles = (primitive.mode ?? 4) === 4 && json.accessors[primitive.indices].count % 3 === 0;
+          addTarget(primitive.indices, isTriangles ? 'TRIANGLES' : 'INDICES');
+        }
+      });
+    });
+    
+    return targets;
+  }
+
+  /**
+   * Split a GLB into its JSON and binary chunks
+   */
+  parseGLB(glb) {
+    const view = new DataView(glb);
+    if (view.getUint32(0, true) !== GLB_MAGIC) {
+      throw new Error('Not a GLB file');
+    }
+    
+    let json = null;
+    let bin = new Uint8Array(0);
+    let offset = 12;
+    
+    while (offset < glb.byteLength) {
+      const length = view.getUint32(offset, true);
+      const type = view.getUint32(offset + 4, true);
+      const data = new Uint8Array(glb, offset + 8, length);
+      
+      if (type === CHUNK_JSON) {
+        json = JSON.parse(new TextDecoder().decode(data));
+      } else if (type === CHUNK_BIN) {
+        bin = data;
+      }
+      
+      offset += 8 + length;
+    }
+    
+    return { json, bin };
+  }
+
+  /**
+   * Assemble a GLB from a glTF JSON and its binary buffer
+   */
+  buildGLB(json, bin) {
+    const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+    const jsonLength = Math.ceil(jsonBytes.length / 4) * 4;
+    const binLength = Math.ceil(bin.length / 4) * 4;
+    const total = 12 + 8 + jsonLength + (binLength > 0 ? 8 + binLength : 0);
+    
+    const output = new Uint8Array(total);
+    const view = new DataView(output.buffer);
+    
+    view.setUint32(0, GLB_MAGIC, true);
+    view.setUint32(4, 2, true);
+    view.setUint32(8, total, true);
+    
+    // JSON chunk, padded with spaces
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, CHUNK_JSON, true);
+    output.fill(0x20, 20, 20 + jsonLength);
+    output.set(jsonBytes, 20);
+    
+    if (binLength > 0) {
+      const offset = 20 + jsonLength;
+      view.setUint32(offset, binLength, true);
+      view.setUint32(offset + 4, CHUNK_BIN, true);
+      output.set(bin, offset + 8);
+    }
+    
+    return output.buffer;
+  }
+
+  /**
+   * Before/after comparison of file size and geometry
+   */
+  createReport(before, after, stats, settings) {
+    const ratio = (a, b) => (b > 0 ? a / b : 0);
+    
+    return {
+      before,
+      after,
+      sizeRatio: ratio(after.size, before.size),
+      triangleRatio: ratio(after.triangles, before.triangles),
+      vertexRatio: ratio(after.vertices, before.vertices),
+      stats,
+      settings: {
+        weld: settings.weld,
+        prune: settings.prune,
+        maxTextureSize: Number.isFinite(settings.maxTextureSize) ? settings.maxTextureSize : null,
+        compression: settings.compression
+      }
+    };
+  }
+
+  /**
+   * Merge options over defaults, ignoring unset values
+   */
+  mergeSettings(options) {
+    const settings = { ...this.settings };
+    
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== null && typeof value !== 'undefined') {
+        settings[key] = value;
+      }
+    });
+    
+    return settings;
+  }
+}
@@ -3,8 +3,12 @@
  * Predefined settings and requirements for different 3D marketplaces
  */
 
+import { ImageAnalyzer } from './ImageAnalyzer.js';
+
 export class Templates {
   constructor() {
+    this.imageAnalyzer = new ImageAnalyzer();
+    
     this.templates = {
       turbosquid: this.createTurboSquidTemplate(),
       cgtrader: this.createCGTraderTemplate(),
@@ -14,6 +18,9 @@ export class Templates {
       custom: this.createCustomTemplate()
     };
     
+    // Views used when a template doesn't define its own cameras
+    this.standardViews = ['front', 'back', 'left', 'right', 'top', 'bottom'];
+    
     // Template validation rules
     this.validationRules = {
       turbosquid: this.createTurboSquidValidation(),
@@ -38,6 +45,7 @@ export class Templates {
           format: 'image/jpeg',
           quality: 0.95,
           background: '#f7f7f7', // RGB(247,247,247) - TurboSquid standard
+          compositeBackground: true, // Exact background bytes regardless of tone mapping
           description: 'Main search result image - must be square'
         },
         
@@ -49,6 +57,7 @@ export class Templates {
           format: 'image/jpeg',
           quality: 0.95,
           background: '#f7f7f7',
+          compositeBackground: true,
           description: 'Additional product view images'
         },
         
@@ -58,6 +67,7 @@ export class Templates {
           format: 'image/jpeg',
           quality: 0.95,
           background: '#ffffff',
+          compositeBackground: true,
           wireframe: true,
           description: 'Wireframe view showing topology'
         },
@@ -65,9 +75,36 @@ export class Templates {
         turntable: {
           required: false, // Recommended for CheckMate
           frames: { min: 12, max: 36 },
+          elevation: 15, // Camera angle above the horizon, in degrees
+          direction: 'clockwise',
           resolution: { width: 1920, height: 1080 },
           format: 'image/jpeg',
+          compositeBackground: true,
+          // MP4 is recorded as WebM in browsers that can't produce it (reported in the manifest)
+          containers: ['mp4', 'gif'], // Animated deliverables: gif, apng, webm, mp4, frames
+          fps: 24,
+          loop: true,
+          maxWidth: 960, // Animated GIF/APNG are downscaled to keep file size reasonable
           description: '360-degree rotation sequence'
+        },
+        
+        uvLayout: {
+          required: false, // Required for CheckMate Pro, see checkMate.uvLayout
+          resolution: { width: 2048, height: 2048 },
+          format: 'image/png',
+          channels: ['uv'], // Add 'uv1' for lightmap UVs
+          showTexture: true, // Base color texture under the UV wireframe
+          description: 'UV layout per material'
+        },
+        
+        materialChannels: {
+          required: false, // Required for CheckMate Pro, see checkMate.materialChannels
+          view: 'front',
+          channels: ['albedo', 'normal', 'roughness', 'metalness', 'ao', 'emissive'],
+          resolution: { width: 1920, height: 1080 },
+          format: 'image/png',
+          sheet: true, // Labeled contact sheet next to the individual renders
+          description: 'Material channel breakdown'
         }
       },
       
@@ -157,6 +194,20 @@ export class Templates {
           quality: 0.90,
           wireframe: true,
           description: 'Optional wireframe view'
+        },
+        
+        turntable: {
+          required: false,
+          frames: { min: 24, max: 72 },
+          elevation: 20,
+          direction: 'clockwise',
+          resolution: { width: 1920, height: 1440 },
+          format: 'image/png',
+          containers: ['gif'],
+          fps: 15,
+          loop: true,
+          maxWidth: 800,
+          description: 'Animated 360° preview'
         }
       },
       
@@ -168,7 +219,7 @@ export class Templates {
       
       camera: {
         type: 'perspective',
-        views: ['front', 'perspective', 'detail'],
+        views: ['front', 'perspective', 'detail'], // Named cameras, see DEFAULT_NAMED_CAMERAS in CameraManager
         framing: 'dynamic'
       },
       
@@ -366,19 +417,32 @@ export class Templates {
         },
         overlays: { allowed: false },
         borders: { allowed: false },
-        watermarks: { allowed: false }
+        watermarks: { allowed: false },
+        framing: { minFill: 0.6, allowClipping: false } // Share of the frame the model should span
       },
       
       productShots: {
         minCount: 5,
         minDimensions: { width: 1920, height: 1080 },
-        aspectRatio: { value: 16/9, tolerance: 0.1 }
+        aspectRatio: { value: 16/9, tolerance: 0.1 },
+        backgroundColor: {
+          required: '#f7f7f7',
+          tolerance: 5
+        },
+        borders: { allowed: false },
+        framing: { minFill: 0.5, allowClipping: false }
       },
       
       wireframe: {
         required: true,
         wireframeMode: { required: true },
-        background: { preferred: '#ffffff' }
+        background: { preferred: '#ffffff', tolerance: 5 },
+        framing: { allowClipping: false }
+      },
+      
+      uvLayout: {
+        outOfBounds: { allowed: false },
+        overlaps: { maxRatio: 0.01 } // Share of used UV space; mirrored islands are reported
       }
     };
   }
@@ -394,7 +458,8 @@ export class Templates {
           max: 1.35, 
           optimal: 1.33 
         },
-        minDimensions: { width: 800, height: 600 }
+        minDimensions: { width: 800, height: 600 },
+        framing: { minFill: 0.5, allowClipping: false }
       },
       
       description: {
@@ -478,13 +543,186 @@ export class Templates {
       }
     }
     
-    // Check background color
-    if (rules.backgroundColor && rules.backgroundColor.required) {
-      // This would require actual image analysis
+    // Pixel checks need the analyzed bitmap
+    if (image.analysis) {
+      this.validatePixels(image.analysis, rules, result);
+    } else if (rules.backgroundColor && rules.backgroundColor.required) {
       result.warnings.push('Background color validation requires manual check');
     }
   }
 
+  /**
+   * Validate background, borders and framing from an ImageAnalyzer result
+   */
+  validatePixels(analysis, rules, result) {
+    const { background, bands, subject } = analysis;
+    const toRGB = (color) => `RGB(${color.r},${color.g},${color.b})`;
+    
+    // Background color sampled on the border ring
+    const backgroundRule = rules.backgroundColor?.required ? rules.backgroundColor : null;
+    const preferredRule = rules.background?.preferred ? rules.background : null;
+    const colorRule = backgroundRule || preferredRule;
+    
+    if (colorRule) {
+      const tolerance = colorRule.tolerance ?? 5;
+      
+      if (background.deviation > tolerance) {
+        const message = `Background ${toRGB(background.border)} differs from ${toRGB(background.reference)} (tolerance ±${tolerance})`;
+        
+        if (backgroundRule) {
+          result.errors.push(message);
+          result.valid = false;
+        } else {
+          result.warnings.push(message);
+        }
+      } else if (background.match < 0.95) {
+        result.warnings.push(`Only ${Math.round(background.match * 100)}% of border pixels match the background color`);
+      }
+    }
+    
+    // Leftover borders or letterboxing
+    const bandSides = Object.entries(bands).filter(([, size]) => size > 0);
+    if (bandSides.length > 0) {
+      const message = `Border or letterbox detected: ${bandSides.map(([side, size]) => `${side} ${size}px`).join(', ')}`;
+      
+      if (rules.borders && !rules.borders.allowed) {
+        result.errors.push(message);
+        result.valid = false;
+      } else {
+        result.warnings.push(message);
+      }
+    }
+    
+    if (!rules.framing) {
+      return;
+    }
+    
+    if (!subject.bounds) {
+      result.errors.push('No model detected in image');
+      result.valid = false;
+      return;
+    }
+    
+    // How much of the frame the model spans
+    const fill = Math.round(subject.fill * 100);
+    if (rules.framing.minFill && subject.fill < rules.framing.minFill) {
+      result.warnings.push(`Model fills only ${fill}% of the frame (recommended ≥ ${Math.round(rules.framing.minFill * 100)}%)`);
+    }
+    if (rules.framing.maxFill && subject.fill > rules.framing.maxFill) {
+      result.warnings.push(`Model fills ${fill}% of the frame, leave some margin (≤ ${Math.round(rules.framing.maxFill * 100)}%)`);
+    }
+    
+    // Model cut off at the image edges
+    const clippedSides = Object.keys(subject.clipped).filter((side) => subject.clipped[side]);
+    if (clippedSides.length > 0) {
+      const message = `Model clipped at ${clippedSides.join(', ')} edge${clippedSides.length > 1 ? 's' : ''}`;
+      
+      if (rules.framing.allowClipping === false) {
+        result.errors.push(message);
+        result.valid = false;
+      } else {
+        result.warnings.push(message);
+      }
+    }
+  }
+
+  /**
+   * Validate a single exported file against the rules for its image type
+   * Still images are analyzed pixel by pixel when the rules need it
+   */
+  async validateFile(templateName, file) {
+    const result = {
+      valid: true,
+      warnings: [],
+      errors: []
+    };
+    
+    const validation = this.validationRules[templateName];
+    if (!validation || !file || !file.resolution) {
+      return result;
+    }
+    
+    const rules = validation[file.type || this.getImageType(file.viewName)];
+    if (!rules) {
+      return result;
+    }
+    
+    const image = { ...file.resolution };
+    
+    if (this.needsPixelAnalysis(rules) && typeof file.data === 'string' && file.data.startsWith('data:image/')) {
+      try {
+        image.analysis = await this.imageAnalyzer.analyze(file.data, {
+          background: rules.backgroundColor?.required || rules.background?.preferred || null,
+          tolerance: rules.backgroundColor?.tolerance ?? rules.background?.tolerance
+        });
+        
+        // Trust the decoded bitmap over the requested size
+        image.width = image.analysis.width;
+        image.height = image.analysis.height;
+      } catch (error) {
+        console.warn(`Pixel analysis failed for ${file.filename}:`, error);
+        result.warnings.push(`Pixel analysis failed: ${error.message}`);
+      }
+    }
+    
+    this.validateImage(image, rules, result);
+    
+    if (file.stats && (rules.outOfBounds || rules.overlaps)) {
+      this.validateUVLayout(file.stats, rules, result);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Validate UV layout statistics from UVLayoutExporter
+   */
+  validateUVLayout(stats, rules, result) {
+    if (rules.outOfBounds && stats.outOfBounds > 0) {
+      const message = `${stats.outOfBounds} UV triangle(s) outside the 0-1 square`;
+      
+      if (rules.outOfBounds.allowed === false) {
+        result.errors.push(message);
+        result.valid = false;
+      } else {
+        result.warnings.push(message);
+      }
+    }
+    
+    if (rules.overlaps && stats.overlap > (rules.overlaps.maxRatio || 0)) {
+      result.warnings.push(`${(stats.overlap * 100).toFixed(1)}% of the used UV space overlaps`);
+    }
+    
+    if (stats.degenerate > 0) {
+      result.warnings.push(`${stats.degenerate} zero-area UV triangle(s)`);
+    }
+  }
+
+  /**
+   * Whether rules check pixels rather than just dimensions
+   */
+  needsPixelAnalysis(rules) {
+    return Boolean(rules.backgroundColor || rules.background || rules.borders || rules.framing);
+  }
+
+  /**
+   * Map an exported view to its template image type
+   */
+  getImageType(viewName) {
+    switch (viewName) {
+      case 'wireframe':
+        return 'wireframe';
+      case 'turntable':
+        return 'turntable';
+      case 'uvLayout':
+        return 'uvLayout';
+      case 'materialChannels':
+        return 'materialChannels';
+      default:
+        return 'productShots';
+    }
+  }
+
   /**
    * Validate product shots collection
    */
@@ -503,7 +741,7 @@ export class Templates {
     
     return {
       template: templateName,
-      images: this.generateImageConfigs(template.images),
+      images: this.generateImageConfigs(template.images, template.camera?.views),
       lighting: template.lighting,
       camera: template.camera,
       quality: template.quality,
@@ -514,20 +752,23 @@ export class Templates {
 
   /**
    * Generate image configurations from template
+   * Each config is assigned the camera view it should be captured from
    */
-  generateImageConfigs(imageTemplates) {
+  generateImageConfigs(imageTemplates, views = this.standardViews) {
     const configs = [];
+    const availableViews = views && views.length > 0 ? views : this.standardViews;
     
     Object.entries(imageTemplates).forEach(([type, settings]) => {
       if (settings.required || settings.count) {
         if (settings.count) {
-          // Multiple images (like product shots)
-          const count = settings.count.min || 6; // Default to 6 views
+          // Multiple images (like product shots), one per view within the count range
+          const count = this.resolveShotCount(settings.count, availableViews.length);
           
           for (let i = 0; i < count; i++) {
             configs.push({
               type,
               index: i,
+              viewName: availableViews[i % availableViews.length],
               ...settings
             });
           }
@@ -535,6 +776,7 @@ export class Templates {
           // Single image
           configs.push({
             type,
+            viewName: settings.view || availableViews[0],
             ...settings
           });
         }
@@ -544,6 +786,16 @@ export class Templates {
     return configs;
   }
 
+  /**
+   * Number of shots for a counted image type: one per view, clamped to the template range
+   */
+  resolveShotCount(count, viewCount) {
+    const min = count.min || 0;
+    const max = count.max || Infinity;
+    
+    return Math.min(max, Math.max(min, viewCount));
+  }
+
   /**
    * Get marketplace best practices
    */
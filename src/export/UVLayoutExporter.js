@@ -0,0 +1,365 @@
+/**
+ * UVLayoutExporter.js - UV Layout Rendering
+ * Rasterizes UV islands per material and flags overlapping / out-of-bounds UVs
+ */
+
+export class UVLayoutExporter {
+  constructor() {
+    this.settings = {
+      resolution: 2048,
+      channels: ['uv'], // 'uv1' adds the second UV set
+      showTexture: true, // Draw the base color texture under the wireframe
+      format: 'image/png',
+      quality: 0.95,
+      background: '#ffffff',
+      gridColor: '#d0d0d0',
+      lineColor: '#1a1a1a',
+      lineWidth: 1,
+      overlapColor: '#ff0000',
+      outOfBoundsColor: '#ff8800',
+      highlightOpacity: 0.5,
+      analysisResolution: 512 // Coverage grid used to detect overlaps
+    };
+  }
+
+  /**
+   * Render one UV layout image per material (and per UV channel)
+   */
+  async export(model, options = {}) {
+    const settings = this.mergeSettings(options);
+    const groups = this.collectMaterialGroups(Array.isArray(model) ? model : [model]);
+    const results = [];
+    
+    for (const group of groups) {
+      for (const channel of settings.channels) {
+        const triangles = this.collectTriangles(group, channel);
+        if (triangles.length === 0) {
+          continue;
+        }
+        
+        const analysis = this.analyze(triangles, settings.analysisResolution);
+        const canvas = this.render(group, triangles, analysis, settings);
+        const channelName = this.getChannelName(channel);
+        
+        results.push({
+          materialName: group.name,
+          materialId: group.material.uuid,
+          channel: channelName,
+          imageData: canvas.toDataURL(settings.format, settings.quality),
+          resolution: { width: settings.resolution, height: settings.resolution },
+          format: settings.format,
+          filename: `uv_${group.name}_${channelName}.${settings.format.split('/')[1] || 'png'}`,
+          stats: {
+            triangles: triangles.length / 6,
+            outOfBounds: analysis.outOfBounds,
+            degenerate: analysis.degenerate,
+            coverage: analysis.covered / (analysis.size * analysis.size),
+            overlap: analysis.covered > 0 ? analysis.overlapped / analysis.covered : 0
+          }
+        });
+        
+        // Let the browser breathe between materials
+        await this.delay(10);
+      }
+    }
+    
+    console.log(`🧩 Rendered ${results.length} UV layouts`);
+    return results;
+  }
+
+  /**
+   * Group mesh triangle ranges by material
+   * Without a texture, the V direction follows the source format: down for glTF, up for the others
+   */
+  collectMaterialGroups(roots) {
+    const groups = new Map();
+    const usedNames = new Set();
+    
+    const addRange = (material, geometry, start, count, flipY) => {
+      if (!material) return;
+      
+      if (!groups.has(material.uuid)) {
+        // Unique, filename-safe material name
+        let name = (material.name || `material_${groups.size + 1}`).replace(/[^a-z0-9_-]+/gi, '_');
+        if (usedNames.has(name)) {
+          name = `${name}_${groups.size + 1}`;
+        }
+        usedNames.add(name);
+        
+        groups.set(material.uuid, { material, name, flipY, ranges: [] });
+      }
+      
+      groups.get(material.uuid).ranges.push({ geometry, start, count });
+    };
+    
+    roots.forEach((root) => {
+      const flipY = root.userData.source?.format !== 'glTF';
+      
+      root.traverse((child) => {
+        if (!child.isMesh || !child.geometry || !child.material) return;
+        
+        const { geometry } = child;
+        const total = geometry.index ? geometry.index.count : geometry.attributes.position.count;
+        
+        if (Array.isArray(child.material) && geometry.groups.length > 0) {
+          geometry.groups.forEach((group) => {
+            addRange(child.material[group.materialIndex], geometry, group.start, group.count, flipY);
+          });
+        } else {
+          const [material] = Array.isArray(child.material) ? child.material : [child.material];
+          addRange(material, geometry, 0, total, flipY);
+        }
+      });
+    });
+    
+    return Array.from(groups.values());
+  }
+
+  /**
+   * Flatten a material's triangles into [u0, v0, u1, v1, u2, v2, ...]
+   */
+  collectTriangles(group, channel) {
+    const values = [];
+    
+    group.ranges.forEach(({ geometry, start, count }) => {
+      const uv = geometry.getAttribute(channel);
+      if (!uv) return;
+      
+      const { index } = geometry;
+      const end = Math.min(start + count, index ? index.count : uv.count);
+      
+      for (let i = start; i + 2 < end; i += 3) {
+        for (let corner = 0; corner < 3; corner++) {
+          const vertex = index ? index.getX(i + corner) : i + corner;
+          values.push(uv.getX(vertex), uv.getY(vertex));
+        }
+      }
+    });
+    
+    return Float32Array.from(values);
+  }
+
+  /**
+   * Rasterize triangles into a coverage grid to find overlaps and out-of-bounds UVs
+   */
+  analyze(triangles, size) {
+    const coverage = new Uint8Array(size * size);
+    const outside = new Uint8Array(triangles.length / 6);
+    const epsilon = 1e-4;
+    
+    let outOfBounds = 0;
+    let degenerate = 0;
+    
+    for (let t = 0; t < outside.length; t++) {
+      const o = t * 6;
+      const [u0, v0, u1, v1, u2, v2] = triangles.subarray(o, o + 6);
+      
+      const us = [u0, u1, u2];
+      const vs = [v0, v1, v2];
+      if (us.some((u) => u < -epsilon || u > 1 + epsilon) || vs.some((v) => v < -epsilon || v > 1 + epsilon)) {
+        outside[t] = 1;
+        outOfBounds++;
+      }
+      
+      const area = (u1 - u0) * (v2 - v0) - (u2 - u0) * (v1 - v0);
+      if (Math.abs(area) < 1e-12) {
+        degenerate++;
+        continue;
+      }
+      
+      const sign = area > 0 ? 1 : -1;
+      const minX = Math.max(0, Math.floor(Math.min(...us) * size));
+      const maxX = Math.min(size - 1, Math.floor(Math.max(...us) * size));
+      const minY = Math.max(0, Math.floor(Math.min(...vs) * size));
+      const maxY = Math.min(size - 1, Math.floor(Math.max(...vs) * size));
+      
+      // Pixel centers strictly inside the triangle, so shared edges aren't counted twice
+      for (let y = minY; y <= maxY; y++) {
+        const v = (y + 0.5) / size;
+        
+        for (let x = minX; x <= maxX; x++) {
+          const u = (x + 0.5) / size;
+          const w0 = ((u1 - u) * (v2 - v) - (u2 - u) * (v1 - v)) * sign;
+          const w1 = ((u2 - u) * (v0 - v) - (u0 - u) * (v2 - v)) * sign;
+          const w2 = ((u0 - u) * (v1 - v) - (u1 - u) * (v0 - v)) * sign;
+          
+          if (w0 > 0 && w1 > 0 && w2 > 0) {
+            const cell = y * size + x;
+            if (coverage[cell] < 255) {
+              coverage[cell]++;
+            }
+          }
+        }
+      }
+    }
+    
+    let covered = 0;
+    let overlapped = 0;
+    for (let i = 0; i < coverage.length; i++) {
+      if (coverage[i] > 0) covered++;
+      if (coverage[i] > 1) overlapped++;
+    }
+    
+    return { size, coverage, outside, outOfBounds, degenerate, covered, overlapped };
+  }
+
+  /**
+   * Draw texture, grid, highlighted problems and the UV wireframe
+   */
+  render(group, triangles, analysis, settings) {
+    const { material } = group;
+    const size = settings.resolution;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = settings.background;
+    ctx.fillRect(0, 0, size, size);
+    
+    // Follow the texture's orientation so islands line up with the map
+    const texture = settings.showTexture ? material.map : null;
+    const flipY = texture ? texture.flipY : group.flipY;
+    const toX = (u) => u * size;
+    const toY = (v) => (flipY ? 1 - v : v) * size;
+    
+    if (texture?.image) {
+      try {
+        ctx.drawImage(texture.image, 0, 0, size, size);
+      } catch (error) {
+        console.warn(`Cannot draw texture for ${material.name || material.uuid}:`, error);
+      }
+    }
+    
+    this.drawGrid(ctx, size, settings);
+    
+    // Overlapping areas from the coverage grid
+    if (analysis.overlapped > 0) {
+      ctx.save();
+      ctx.globalAlpha = settings.highlightOpacity;
+      ctx.imageSmoothingEnabled = false;
+      if (flipY) {
+        ctx.translate(0, size);
+        ctx.scale(1, -1);
+      }
+      ctx.drawImage(this.createOverlapMask(analysis, settings.overlapColor), 0, 0, size, size);
+      ctx.restore();
+    }
+    
+    // Out-of-bounds triangles
+    if (analysis.outOfBounds > 0) {
+      ctx.save();
+      ctx.globalAlpha = settings.highlightOpacity;
+      ctx.fillStyle = settings.outOfBoundsColor;
+      ctx.beginPath();
+      for (let t = 0; t < analysis.outside.length; t++) {
+        if (analysis.outside[t]) {
+          this.traceTriangle(ctx, triangles, t, toX, toY);
+        }
+      }
+      ctx.fill();
+      ctx.restore();
+    }
+    
+    // UV wireframe
+    ctx.strokeStyle = settings.lineColor;
+    ctx.lineWidth = settings.lineWidth;
+    ctx.beginPath();
+    for (let t = 0; t < triangles.length / 6; t++) {
+      this.traceTriangle(ctx, triangles, t, toX, toY);
+    }
+    ctx.stroke();
+    
+    return canvas;
+  }
+
+  /**
+   * Draw the 0-1 square with tenth subdivisions
+   */
+  drawGrid(ctx, size, settings) {
+    ctx.save();
+    ctx.strokeStyle = settings.gridColor;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    
+    for (let i = 1; i < 10; i++) {
+      const position = Math.round(i * size / 10) + 0.5;
+      ctx.moveTo(position, 0);
+      ctx.lineTo(position, size);
+      ctx.moveTo(0, position);
+      ctx.lineTo(size, position);
+    }
+    
+    ctx.stroke();
+    ctx.strokeRect(0.5, 0.5, size - 1, size - 1);
+    ctx.restore();
+  }
+
+  /**
+   * Add one triangle to the current path
+   */
+  traceTriangle(ctx, triangles, t, toX, toY) {
+    const o = t * 6;
+    
+    ctx.moveTo(toX(triangles[o]), toY(triangles[o + 1]));
+    ctx.lineTo(toX(triangles[o + 2]), toY(triangles[o + 3]));
+    ctx.lineTo(toX(triangles[o + 4]), toY(triangles[o + 5]));
+    ctx.closePath();
+  }
+
+  /**
+   * Build a canvas with overlapping coverage cells painted in the given color
+   */
+  createOverlapMask(analysis, color) {
+    const { size, coverage } = analysis;
+    const value = parseInt(color.replace('#', ''), 16);
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(size, size);
+    
+    for (let i = 0; i < coverage.length; i++) {
+      if (coverage[i] > 1) {
+        imageData.data[i * 4] = (value >> 16) & 0xff;
+        imageData.data[i * 4 + 1] = (value >> 8) & 0xff;
+        imageData.data[i * 4 + 2] = value & 0xff;
+        imageData.data[i * 4 + 3] = 255;
+      }
+    }
+    
+    ctx.putImageData(imageData, 0, 0);
+    return canvas;
+  }
+
+  /**
+   * Display name for a UV attribute ('uv' is the first set)
+   */
+  getChannelName(channel) {
+    return channel === 'uv' ? 'uv0' : channel;
+  }
+
+  /**
+   * Merge options over defaults, ignoring unset values
+   */
+  mergeSettings(options) {
+    const settings = { ...this.settings };
+    
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== null && typeof value !== 'undefined') {
+        settings[key] = value;
+      }
+    });
+    
+    return settings;
+  }
+
+  /**
+   * Utility delay function
+   */
+  delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+}
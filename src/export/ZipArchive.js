@@ -0,0 +1,117 @@
+/**
+ * ZipArchive.js - In-Browser ZIP Archive Builder
+ * Bundles exported files into a single downloadable archive
+ */
+
+import { crc32 } from './Crc32.js';
+
+export class ZipArchive {
+  constructor() {
+    this.entries = [];
+    this.encoder = new TextEncoder();
+  }
+
+  /**
+   * Add a file to the archive
+   * Images and videos are already compressed, so entries are stored as-is
+   */
+  addFile(path, data, options = {}) {
+    const bytes = typeof data === 'string' ? this.encoder.encode(data) : new Uint8Array(data);
+    const name = this.encoder.encode(path.replace(/^\/+/, ''));
+    
+    if (this.entries.some((entry) => entry.path === path)) {
+      throw new Error(`Duplicate archive entry: ${path}`);
+    }
+    
+    this.entries.push({
+      path,
+      name,
+      bytes,
+      crc: crc32(bytes),
+      date: options.date || new Date()
+    });
+    
+    return this;
+  }
+
+  /**
+   * Number of files in the archive
+   */
+  get fileCount() {
+    return this.entries.length;
+  }
+
+  /**
+   * Build the archive as a Blob
+   */
+  generate() {
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+    
+    this.entries.forEach((entry) => {
+      const { time, date } = this.toDosDateTime(entry.date);
+      
+      // Local file header
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true); // Version needed
+      local.setUint16(6, 0x0800, true); // UTF-8 file names
+      local.setUint16(8, 0, true); // Stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, entry.crc, true);
+      local.setUint32(18, entry.bytes.length, true);
+      local.setUint32(22, entry.bytes.length, true);
+      local.setUint16(26, entry.name.length, true);
+      local.setUint16(28, 0, true);
+      
+      parts.push(new Uint8Array(local.buffer), entry.name, entry.bytes);
+      
+      // Matching central directory record
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true);
+      central.setUint16(4, 20, true); // Version made by
+      central.setUint16(6, 20, true); // Version needed
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, date, true);
+      central.setUint32(16, entry.crc, true);
+      central.setUint32(20, entry.bytes.length, true);
+      central.setUint32(24, entry.bytes.length, true);
+      central.setUint16(28, entry.name.length, true);
+      central.setUint32(42, offset, true);
+      
+      centralDirectory.push(new Uint8Array(central.buffer), entry.name);
+      
+      offset += 30 + entry.name.length + entry.bytes.length;
+    });
+    
+    const directorySize = centralDirectory.reduce((sum, part) => sum + part.length, 0);
+    
+    // End of central directory record
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+    
+    return new Blob([...parts, ...centralDirectory, new Uint8Array(end.buffer)], {
+      type: 'application/zip'
+    });
+  }
+
+  /**
+   * Convert a date to MS-DOS time and date fields
+   */
+  toDosDateTime(value) {
+    const year = Math.max(1980, value.getFullYear());
+    
+    return {
+      time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+    };
+  }
+}
@@ -6,16 +6,33 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
+import { GLTFValidator } from './GLTFValidator.js';
+
+// Draco and Basis decoders are served by the app itself (see vite.config.js)
+const DECODER_PATH = `${import.meta.env.BASE_URL}decoders/`;
+
+// Material properties that don't affect rendering, ignored when looking for identical materials
+const MATERIAL_KEY_IGNORED = new Set(['uuid', 'id', 'name', 'version', '_listeners']);
 
 export class GLTFModelLoader {
-  constructor(scene) {
+  constructor(scene, renderer = null) {
     this.scene = scene;
     this.loader = new GLTFLoader();
     this.dracoLoader = null;
+    this.ktx2Loader = null;
     this.loadingManager = new THREE.LoadingManager();
+    this.validator = new GLTFValidator();
+    this.isLoadingResources = false;
+    this.idleCallbacks = [];
     
     this.setupLoaders();
     this.setupLoadingManager();
+    
+    if (renderer) {
+      this.setRenderer(renderer);
+    }
   }
 
   /**
@@ -25,23 +42,50 @@ export class GLTFModelLoader {
     // Setup DRACO loader for compressed geometries
     try {
       this.dracoLoader = new DRACOLoader();
-      this.dracoLoader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.5.6/');
-      this.dracoLoader.setDecoderConfig({ type: 'js' });
+      this.dracoLoader.setDecoderPath(`${DECODER_PATH}draco/`);
       this.loader.setDRACOLoader(this.dracoLoader);
       console.log('✅ DRACO loader initialized');
     } catch (error) {
       console.warn('⚠️ DRACO loader not available:', error);
     }
     
+    // Setup KTX2 loader for Basis Universal textures
+    try {
+      this.ktx2Loader = new KTX2Loader();
+      this.ktx2Loader.setTranscoderPath(`${DECODER_PATH}basis/`);
+      this.loader.setKTX2Loader(this.ktx2Loader);
+      console.log('✅ KTX2 loader initialized');
+    } catch (error) {
+      console.warn('⚠️ KTX2 loader not available:', error);
+    }
+    
+    // Setup Meshopt decoder for EXT_meshopt_compression (bundled WASM)
+    this.loader.setMeshoptDecoder(MeshoptDecoder);
+    
     // Set loading manager
     this.loader.manager = this.loadingManager;
   }
 
+  /**
+   * Set the WebGL renderer used to pick supported KTX2 transcoding formats
+   */
+  setRenderer(renderer) {
+    if (this.ktx2Loader && renderer) {
+      this.ktx2Loader.detectSupport(renderer);
+    }
+  }
+
   /**
    * Setup loading manager with progress callbacks
    */
   setupLoadingManager() {
+    this.loadingManager.onStart = () => {
+      this.isLoadingResources = true;
+    };
+    
     this.loadingManager.onLoad = () => {
+      this.isLoadingResources = false;
+      this.idleCallbacks.splice(0).forEach((callback) => callback());
       console.log('✅ All resources loaded');
     };
     
@@ -55,10 +99,22 @@ export class GLTFModelLoader {
     };
   }
 
+  /**
+   * Wait until textures still loading through the manager are done
+   */
+  waitForResources() {
+    if (!this.isLoadingResources) {
+      return Promise.resolve();
+    }
+    
+    return new Promise((resolve) => this.idleCallbacks.push(resolve));
+  }
+
   /**
    * Load model from file
+   * resources maps relative paths to the files selected with the model (.bin, textures)
    */
-  async load(file) {
+  async load(file, resources = null, options = {}) {
     if (!file) {
       throw new Error('No file provided');
     }
@@ -68,31 +124,157 @@ export class GLTFModelLoader {
       throw new Error('Invalid file type. Only .glb and .gltf files are supported.');
     }
     
-    // Create object URL for the file
-    const url = URL.createObjectURL(file);
+    // Validate the raw JSON first: invalid references make GLTFLoader throw before returning anything
+    const validation = await this.validator.validateFile(file);
+    let model;
+    
+    try {
+      // Geometry and texture checks need the decoded glTF, before processing alters it
+      model = await this.loadWithResources(file, resources, async (modelPath) => {
+        const gltf = await this.loadFromURL(modelPath);
+        this.validator.validateLoaded(gltf, validation);
+        return gltf;
+      }, options);
+    } catch (error) {
+      // The report explains why the file was rejected
+      error.validation = validation;
+      throw error;
+    } finally {
+      const { errors, warnings, infos } = validation.summary;
+      console.log(`🔍 Validation: ${errors} errors, ${warnings} warnings, ${infos} infos`);
+    }
+    
+    model.userData.validation = validation;
+    
+    return model;
+  }
+
+  /**
+   * Run a format loader with sidecar files resolved, then process the result and add it to the scene
+   * loadModel receives the model path and resolves to a { scene, animations } object
+   */
+  async loadWithResources(file, resources, loadModel, options = {}) {
+    const files = resources && resources.size > 0 ? resources : new Map([[file.name, file]]);
+    const modelPath = Array.from(files.keys()).find((path) => files.get(path) === file) || file.name;
+    const resolver = this.createResourceResolver(files);
+    
+    this.loadingManager.setURLModifier(resolver.modifier);
     
     try {
-      const gltf = await this.loadFromURL(url);
+      // Relative URIs in the model resolve against its path, then through the URL modifier
+      const gltf = await loadModel(modelPath);
+      
+      // Some loaders return before their textures are decoded
+      await this.waitForResources();
       
       // Process the loaded model
-      const processedModel = this.processModel(gltf);
+      const processedModel = this.processModel(gltf, options);
+      
+      // Textures that could not be found don't prevent loading, but are reported
+      processedModel.userData.missingResources = Array.from(resolver.missing);
+      if (resolver.missing.size > 0) {
+        console.warn(`⚠️ Missing resources: ${processedModel.userData.missingResources.join(', ')}`);
+      }
       
       // Add to scene
       this.scene.addModel(processedModel);
       
-      // Clean up object URL
-      URL.revokeObjectURL(url);
-      
       console.log(`✅ Model loaded: ${file.name}`);
       return processedModel;
       
     } catch (error) {
-      // Clean up object URL on error
-      URL.revokeObjectURL(url);
+      if (resolver.missing.size > 0) {
+        const missingError = new Error(`Missing files: ${Array.from(resolver.missing).join(', ')}`);
+        missingError.missingFiles = Array.from(resolver.missing);
+        throw missingError;
+      }
       throw error;
+      
+    } finally {
+      // Clean up resolver and object URLs
+      this.loadingManager.setURLModifier(null);
+      resolver.dispose();
     }
   }
 
+  /**
+   * Create a URL modifier mapping relative resource URIs to object URLs of selected files
+   */
+  createResourceResolver(files) {
+    const objectURLs = new Map();
+    const missing = new Set();
+    
+    // Fallback index by file name, for files selected without their folder structure
+    const byName = new Map();
+    files.forEach((file, path) => {
+      const name = this.getFileName(path);
+      byName.set(name, byName.has(name) ? null : path);
+    });
+    
+    const modifier = (url) => {
+      // Embedded, blob and remote URIs are left untouched
+      if (/^(data|blob|https?):/i.test(url)) {
+        return url;
+      }
+      
+      const path = this.normalizeResourcePath(url);
+      let key = files.has(path) ? path : null;
+      if (!key && byName.get(this.getFileName(path))) {
+        key = byName.get(this.getFileName(path));
+      }
+      
+      if (!key) {
+        missing.add(path);
+        return url;
+      }
+      
+      if (!objectURLs.has(key)) {
+        objectURLs.set(key, URL.createObjectURL(files.get(key)));
+      }
+      
+      return objectURLs.get(key);
+    };
+    
+    return {
+      modifier,
+      missing,
+      dispose: () => {
+        objectURLs.forEach((objectURL) => URL.revokeObjectURL(objectURL));
+        objectURLs.clear();
+      }
+    };
+  }
+
+  /**
+   * Normalize a resource URI into a relative path ('./' and '../' segments resolved)
+   */
+  normalizeResourcePath(url) {
+    let decoded = url;
+    try {
+      decoded = decodeURIComponent(url);
+    } catch (error) {
+      // Keep malformed URIs as they are
+    }
+    
+    const segments = [];
+    decoded.split(/[\\/]/).forEach((segment) => {
+      if (segment === '..') {
+        segments.pop();
+      } else if (segment && segment !== '.') {
+        segments.push(segment);
+      }
+    });
+    
+    return segments.join('/');
+  }
+
+  /**
+   * Get the file name part of a path
+   */
+  getFileName(path) {
+    return path.split('/').pop();
+  }
+
   /**
    * Load model from URL
    */
@@ -113,7 +295,7 @@ export class GLTFModelLoader {
   /**
    * Process loaded GLTF model
    */
-  processModel(gltf) {
+  processModel(gltf, options = {}) {
     const model = gltf.scene;
     
     // Set model name
@@ -128,8 +310,10 @@ export class GLTFModelLoader {
     // Setup shadows
     this.setupShadows(model);
     
-    // Optimize for performance
-    this.optimizeModel(model);
+    // Optimize materials and textures (can be turned off to keep the source materials as-is)
+    if (options.optimizeMaterials !== false) {
+      model.userData.optimization = this.optimizeModel(model);
+    }
     
     // Store original GLTF data
     model.userData.gltf = gltf;
@@ -211,108 +395,224 @@ export class GLTFModelLoader {
   }
 
   /**
-   * Optimize model for performance
+   * Optimize materials and textures, returning a report of what changed
+   * Only unused slots and materials identical in every parameter are touched
    */
   optimizeModel(model) {
-    // Remove unused materials
-    this.removeUnusedMaterials(model);
+    const before = this.countMaterialsAndTextures(model);
     
-    // Merge similar materials
-    this.mergeSimilarMaterials(model);
-    
-    // Dispose of unused textures
-    this.cleanupTextures(model);
+    // Remove unused materials
+    const removed = this.removeUnusedMaterials(model);
+    
+    // Merge identical materials
+    const merged = this.mergeSimilarMaterials(model);
+    
+    // Dispose of textures only the dropped materials used
+    const droppedMaterials = [...removed.materials, ...merged.flatMap((merge) => merge.materials)];
+    const disposedTextures = this.cleanupTextures(model, droppedMaterials);
+    
+    droppedMaterials.forEach((material) => material.dispose());
+    
+    const report = {
+      removedMaterials: removed.materials.map((material) => this.getDisplayName(material)),
+      mergedMaterials: merged.map((merge) => ({
+        kept: this.getDisplayName(merge.kept),
+        merged: merge.materials.map((material) => this.getDisplayName(material))
+      })),
+      disposedTextures: disposedTextures.map((texture) => this.getDisplayName(texture)),
+      before,
+      after: this.countMaterialsAndTextures(model)
+    };
     
-    console.log('⚡ Model optimized');
+    console.log(`⚡ Model optimized: ${before.materials} → ${report.after.materials} materials, ${before.textures} → ${report.after.textures} textures`);
+    return report;
   }
 
   /**
-   * Remove materials that aren't used by any mesh
+   * Drop material slots that no geometry group references
+   * Geometries shared by several meshes are left as they are
    */
   removeUnusedMaterials(model) {
-    const usedMaterials = new Set();
+    const geometryUsers = new Map();
+    model.traverse((child) => {
+      if (child.isMesh && child.geometry) {
+        geometryUsers.set(child.geometry, (geometryUsers.get(child.geometry) || 0) + 1);
+      }
+    });
+    
+    const candidates = new Set();
     
     model.traverse((child) => {
-      if (child.isMesh && child.material) {
-        if (Array.isArray(child.material)) {
-          child.material.forEach(mat => usedMaterials.add(mat.uuid));
-        } else {
-          usedMaterials.add(child.material.uuid);
+      if (!child.isMesh || !Array.isArray(child.material) || geometryUsers.get(child.geometry) !== 1) return;
+      
+      const { geometry } = child;
+      
+      // Without groups only the first material is rendered
+      const used = geometry.groups.length === 0
+        ? [0]
+        : [...new Set(geometry.groups.map((group) => group.materialIndex))]
+          .filter((index) => child.material[index])
+          .sort((a, b) => a - b);
+      
+      if (used.length === child.material.length) return;
+      
+      child.material.forEach((material, index) => {
+        if (material && !used.includes(index)) {
+          candidates.add(material);
         }
+      });
+      
+      // Groups without a material were never drawn
+      geometry.groups = geometry.groups
+        .filter((group) => used.includes(group.materialIndex))
+        .map((group) => ({ ...group, materialIndex: used.indexOf(group.materialIndex) }));
+      
+      child.material = used.map((index) => child.material[index]);
+      if (geometry.groups.length === 0) {
+        [child.material] = child.material;
       }
     });
     
-    console.log(`📝 Found ${usedMaterials.size} used materials`);
+    // A slot may be unused on one mesh and used on another
+    const usedMaterials = this.collectMaterials(model);
+    const materials = Array.from(candidates).filter((material) => !usedMaterials.has(material));
+    
+    console.log(`📝 Removed ${materials.length} unused materials`);
+    return { materials };
   }
 
   /**
-   * Merge materials with similar properties
+   * Merge materials that are identical in type, scalar parameters and texture slots
    */
   mergeSimilarMaterials(model) {
     const materialMap = new Map();
+    const merges = new Map();
+    
+    const resolve = (material) => {
+      const key = this.getMaterialKey(material);
+      
+      if (!materialMap.has(key)) {
+        materialMap.set(key, material);
+        return material;
+      }
+      
+      // Reuse existing identical material
+      const kept = materialMap.get(key);
+      if (kept !== material) {
+        if (!merges.has(kept)) {
+          merges.set(kept, new Set());
+        }
+        merges.get(kept).add(material);
+      }
+      
+      return kept;
+    };
     
     model.traverse((child) => {
       if (child.isMesh && child.material) {
-        const materials = Array.isArray(child.material) ? child.material : [child.material];
-        
-        materials.forEach((material, index) => {
-          const key = this.getMaterialKey(material);
-          
-          if (materialMap.has(key)) {
-            // Reuse existing similar material
-            if (Array.isArray(child.material)) {
-              child.material[index] = materialMap.get(key);
-            } else {
-              child.material = materialMap.get(key);
-            }
-          } else {
-            materialMap.set(key, material);
-          }
-        });
+        child.material = Array.isArray(child.material) ? child.material.map(resolve) : resolve(child.material);
       }
     });
     
     console.log(`🔄 Merged to ${materialMap.size} unique materials`);
+    
+    return Array.from(merges, ([kept, materials]) => ({ kept, materials: Array.from(materials) }));
   }
 
   /**
-   * Generate a key for material comparison
+   * Generate a key for material comparison from every parameter and texture slot
    */
   getMaterialKey(material) {
-    const props = [
-      material.type,
-      material.color ? material.color.getHex() : 'null',
-      material.metalness || 0,
-      material.roughness || 0,
-      material.map ? material.map.uuid : 'null',
-      material.normalMap ? material.normalMap.uuid : 'null'
-    ];
-    
-    return props.join('|');
+    const props = Object.keys(material)
+      .filter((property) => !MATERIAL_KEY_IGNORED.has(property))
+      .sort()
+      .map((property) => `${property}:${this.serializeMaterialValue(material[property])}`);
+    
+    return `${material.type}|${props.join('|')}`;
   }
 
   /**
-   * Clean up unused textures
+   * Serialize a material parameter (textures compare by identity)
    */
-  cleanupTextures(model) {
+  serializeMaterialValue(value) {
+    if (value === null || typeof value !== 'object') {
+      return String(value);
+    }
+    
+    if (value.isTexture) {
+      return `texture:${value.uuid}`;
+    }
+    
+    // Color, Vector2, Euler...
+    if (typeof value.toArray === 'function') {
+      return `[${value.toArray().join(',')}]`;
+    }
+    
+    if (Array.isArray(value)) {
+      return `[${value.map((item) => this.serializeMaterialValue(item)).join(';')}]`;
+    }
+    
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Dispose of textures that only the given dropped materials referenced
+   */
+  cleanupTextures(model, droppedMaterials = []) {
     const usedTextures = new Set();
+    this.collectMaterials(model).forEach((material) => this.extractTextures(material, usedTextures));
+    
+    const orphaned = new Set();
+    droppedMaterials.forEach((material) => {
+      for (const property in material) {
+        const value = material[property];
+        if (value && value.isTexture && !usedTextures.has(value.uuid)) {
+          orphaned.add(value);
+        }
+      }
+    });
+    
+    orphaned.forEach((texture) => texture.dispose());
+    
+    console.log(`🖼️ Found ${usedTextures.size} used textures, disposed ${orphaned.size}`);
+    return Array.from(orphaned);
+  }
+
+  /**
+   * Collect the materials used by the meshes of a model
+   */
+  collectMaterials(model) {
+    const materials = new Set();
     
     model.traverse((child) => {
       if (child.isMesh && child.material) {
-        const materials = Array.isArray(child.material) ? child.material : [child.material];
-        
-        materials.forEach((material) => {
-          for (const property in material) {
-            const value = material[property];
-            if (value && value.isTexture) {
-              usedTextures.add(value.uuid);
-            }
+        (Array.isArray(child.material) ? child.material : [child.material]).forEach((material) => {
+          if (material) {
+            materials.add(material);
           }
         });
       }
     });
     
-    console.log(`🖼️ Found ${usedTextures.size} used textures`);
+    return materials;
+  }
+
+  /**
+   * Count distinct materials and textures of a model
+   */
+  countMaterialsAndTextures(model) {
+    const materials = this.collectMaterials(model);
+    const textures = new Set();
+    materials.forEach((material) => this.extractTextures(material, textures));
+    
+    return { materials: materials.size, textures: textures.size };
+  }
+
+  /**
+   * Name used in reports for a material or texture
+   */
+  getDisplayName(object) {
+    return object.name || `${object.type || 'Texture'} ${object.uuid.slice(0, 8)}`;
   }
 
   /**
@@ -432,9 +732,13 @@ export class GLTFModelLoader {
     if (this.dracoLoader) {
       this.dracoLoader.dispose();
     }
+    if (this.ktx2Loader) {
+      this.ktx2Loader.dispose();
+    }
     
     this.loader = null;
     this.dracoLoader = null;
+    this.ktx2Loader = null;
     this.loadingManager = null;
     
     console.log('🗑️ GLTF loader disposed');
@@ -0,0 +1,498 @@
+/**
+ * GLTFValidator.js - glTF Import Validation
+ * Checks a glTF against the spec and marketplace expectations
+ * JSON checks run on the raw file, so files three.js refuses to load still get a report
+ */
+
+// Extensions handled by three.js GLTFLoader
+const SUPPORTED_EXTENSIONS = new Set([
+  'KHR_binary_glTF',
+  'KHR_draco_mesh_compression',
+  'KHR_lights_punctual',
+  'KHR_materials_clearcoat',
+  'KHR_materials_dispersion',
+  'KHR_materials_ior',
+  'KHR_materials_sheen',
+  'KHR_materials_specular',
+  'KHR_materials_transmission',
+  'KHR_materials_iridescence',
+  'KHR_materials_anisotropy',
+  'KHR_materials_unlit',
+  'KHR_materials_volume',
+  'KHR_texture_basisu',
+  'KHR_texture_transform',
+  'KHR_mesh_quantization',
+  'KHR_materials_emissive_strength',
+  'EXT_materials_bump',
+  'EXT_texture_webp',
+  'EXT_texture_avif',
+  'EXT_meshopt_compression',
+  'EXT_mesh_gpu_instancing'
+]);
+
+// Rendered here but not by marketplace web viewers, so listings won't look like the preview
+const MARKETPLACE_IGNORED_EXTENSIONS = new Set([
+  'KHR_lights_punctual',
+  'KHR_materials_anisotropy',
+  'KHR_materials_clearcoat',
+  'KHR_materials_dispersion',
+  'KHR_materials_emissive_strength',
+  'KHR_materials_ior',
+  'KHR_materials_iridescence',
+  'KHR_materials_sheen',
+  'KHR_materials_specular',
+  'KHR_materials_transmission',
+  'KHR_materials_volume',
+  'EXT_materials_bump'
+]);
+
+const REQUIRED_PROPERTIES = {
+  accessors: ['componentType', 'count', 'type'],
+  animations: ['channels', 'samplers'],
+  bufferViews: ['buffer', 'byteLength'],
+  buffers: ['byteLength'],
+  cameras: ['type'],
+  meshes: ['primitives'],
+  skins: ['joints']
+};
+
+// GLB header magic ("glTF") and JSON chunk type ("JSON"), little-endian
+const GLB_MAGIC = 0x46546c67;
+const GLB_CHUNK_JSON = 0x4e4f534a;
+
+const COMPONENT_SIZES = { 5120: 1, 5121: 1, 5122: 2, 5123: 2, 5125: 4, 5126: 4 };
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+const MATERIAL_TEXTURES = [
+  'pbrMetallicRoughness.baseColorTexture',
+  'pbrMetallicRoughness.metallicRoughnessTexture',
+  'normalTexture',
+  'occlusionTexture',
+  'emissiveTexture'
+];
+
+export class GLTFValidator {
+  constructor() {
+    this.issues = [];
+  }
+
+  /**
+   * Validate a model file from its raw JSON, before GLTFLoader parses it
+   * Broken references make the loader throw, so these checks can't wait for its result
+   */
+  async validateFile(file) {
+    try {
+      return this.validateJSON(await this.readJSON(file), file.name);
+    } catch (error) {
+      this.issues = [];
+      this.addIssue('error', 'INVALID_JSON', `JSON glTF illisible : ${error.message}`);
+      return this.createReport(file.name);
+    }
+  }
+
+  /**
+   * Run the JSON-level checks and return the report
+   */
+  validateJSON(json, fileName = null) {
+    this.issues = [];
+    
+    this.checkSchema(json);
+    this.checkReferences(json);
+    this.checkAccessors(json);
+    this.checkExtensions(json);
+    this.checkPrimitives(json);
+    this.checkUnusedNodes(json);
+    
+    return this.createReport(fileName);
+  }
+
+  /**
+   * Add the decoded geometry and texture checks of a GLTFLoader result to a report
+   */
+  validateLoaded(gltf, report) {
+    this.issues = report.issues;
+    
+    this.checkGeometryData(gltf);
+    this.checkTextures(gltf);
+    
+    report.summary = this.summarize();
+    return report;
+  }
+
+  /**
+   * Parse the JSON of a .gltf file, or the JSON chunk of a .glb
+   */
+  async readJSON(file) {
+    const buffer = await file.arrayBuffer();
+    const view = new DataView(buffer);
+    let bytes = new Uint8Array(buffer);
+    
+    if (buffer.byteLength >= 12 && view.getUint32(0, true) === GLB_MAGIC) {
+      if (buffer.byteLength < 20 || view.getUint32(16, true) !== GLB_CHUNK_JSON) {
+        throw new Error('premier chunk GLB non JSON');
+      }
+      bytes = new Uint8Array(buffer, 20, view.getUint32(12, true));
+    }
+    
+    return JSON.parse(new TextDecoder().decode(bytes));
+  }
+
+  /**
+   * Report object for the current issues
+   */
+  createReport(fileName) {
+    return {
+      generator: 'GLTFValidator',
+      file: fileName,
+      createdAt: new Date().toISOString(),
+      summary: this.summarize(),
+      issues: this.issues
+    };
+  }
+
+  /**
+   * Issue counts by severity
+   */
+  summarize() {
+    const count = (severity) => this.issues.filter((issue) => issue.severity === severity).length;
+    
+    return {
+      errors: count('error'),
+      warnings: count('warning'),
+      infos: count('info')
+    };
+  }
+
+  /**
+   * Record an issue (severity: 'error', 'warning' or 'info')
+   */
+  addIssue(severity, code, message, pointer = '') {
+    this.issues.push({ severity, code, message, pointer });
+  }
+
+  /**
+   * Asset version, required properties and enumerations
+   */
+  checkSchema(json) {
+    if (!json.asset || typeof json.asset.version !== 'string') {
+      this.addIssue('error', 'ASSET_MISSING', 'Propriété asset.version manquante', '/asset');
+    } else if (!json.asset.version.startsWith('2.')) {
+      this.addIssue('error', 'ASSET_VERSION', `Version glTF ${json.asset.version} non supportée`, '/asset/version');
+    }
+    
+    Object.entries(REQUIRED_PROPERTIES).forEach(([collection, properties]) => {
+      (json[collection] || []).forEach((item, index) => {
+        properties
+          .filter((property) => typeof item[property] === 'undefined')
+          .forEach((property) => {
+            this.addIssue('error', 'MISSING_PROPERTY', `Propriété requise "${property}" manquante`, `/${collection}/${index}`);
+          });
+      });
+    });
+    
+    (json.accessors || []).forEach((accessor, index) => {
+      if (typeof accessor.componentType !== 'undefined' && !COMPONENT_SIZES[accessor.componentType]) {
+        this.addIssue('error', 'INVALID_ENUM', `componentType ${accessor.componentType} invalide`, `/accessors/${index}/componentType`);
+      }
+      if (typeof accessor.type !== 'undefined' && !TYPE_SIZES[accessor.type]) {
+        this.addIssue('error', 'INVALID_ENUM', `type "${accessor.type}" invalide`, `/accessors/${index}/type`);
+      }
+    });
+    
+    (json.meshes || []).forEach((mesh, m) => {
+      (mesh.primitives || []).forEach((primitive, p) => {
+        if (!primitive.attributes || Object.keys(primitive.attributes).length === 0) {
+          this.addIssue('error', 'MISSING_PROPERTY', 'Primitive sans attributs', `/meshes/${m}/primitives/${p}`);
+        }
+        if (typeof primitive.mode !== 'undefined' && (primitive.mode < 0 || primitive.mode > 6)) {
+          this.addIssue('error', 'INVALID_ENUM', `mode ${primitive.mode} invalide`, `/meshes/${m}/primitives/${p}/mode`);
+        }
+      });
+    });
+    
+    (json.images || []).forEach((image, index) => {
+      if (typeof image.uri === 'undefined' && typeof image.bufferView === 'undefined') {
+        this.addIssue('error', 'MISSING_PROPERTY', 'Image sans uri ni bufferView', `/images/${index}`);
+      } else if (typeof image.bufferView !== 'undefined' && !image.mimeType) {
+        this.addIssue('error', 'MISSING_PROPERTY', 'mimeType requis pour une image en bufferView', `/images/${index}`);
+      }
+    });
+  }
+
+  /**
+   * Indices pointing outside their target collection
+   */
+  checkReferences(json) {
+    const check = (collection, index, pointer) => {
+      if (typeof index === 'undefined') return;
+      if (!Number.isInteger(index) || index < 0 || index >= (json[collection] || []).length) {
+        this.addIssue('error', 'INVALID_REFERENCE', `Référence ${collection}[${index}] inexistante`, pointer);
+      }
+    };
+    
+    check('scenes', json.scene, '/scene');
+    
+    (json.scenes || []).forEach((scene, s) => {
+      (scene.nodes || []).forEach((node, i) => check('nodes', node, `/scenes/${s}/nodes/${i}`));
+    });
+    
+    (json.nodes || []).forEach((node, n) => {
+      check('meshes', node.mesh, `/nodes/${n}/mesh`);
+      check('skins', node.skin, `/nodes/${n}/skin`);
+      check('cameras', node.camera, `/nodes/${n}/camera`);
+      (node.children || []).forEach((child, i) => check('nodes', child, `/nodes/${n}/children/${i}`));
+    });
+    
+    (json.meshes || []).forEach((mesh, m) => {
+      (mesh.primitives || []).forEach((primitive, p) => {
+        const pointer = `/meshes/${m}/primitives/${p}`;
+        Object.entries(primitive.attributes || {}).forEach(([name, accessor]) => {
+          check('accessors', accessor, `${pointer}/attributes/${name}`);
+        });
+        check('accessors', primitive.indices, `${pointer}/indices`);
+        check('materials', primitive.material, `${pointer}/material`);
+      });
+    });
+    
+    (json.materials || []).forEach((material, m) => {
+      MATERIAL_TEXTURES.forEach((path) => {
+        const info = path.split('.').reduce((value, key) => value?.[key], material);
+        if (info) {
+          check('textures', info.index, `/materials/${m}/${path.replace('.', '/')}/index`);
+        }
+      });
+    });
+    
+    (json.textures || []).forEach((texture, t) => {
+      check('images', texture.source, `/textures/${t}/source`);
+      check('samplers', texture.sampler, `/textures/${t}/sampler`);
+    });
+    
+    (json.accessors || []).forEach((accessor, a) => check('bufferViews', accessor.bufferView, `/accessors/${a}/bufferView`));
+    (json.bufferViews || []).forEach((view, v) => check('buffers', view.buffer, `/bufferViews/${v}/buffer`));
+    (json.images || []).forEach((image, i) => check('bufferViews', image.bufferView, `/images/${i}/bufferView`));
+    
+    (json.skins || []).forEach((skin, s) => {
+      (skin.joints || []).forEach((joint, j) => check('nodes', joint, `/skins/${s}/joints/${j}`));
+      check('accessors', skin.inverseBindMatrices, `/skins/${s}/inverseBindMatrices`);
+    });
+    
+    (json.animations || []).forEach((animation, a) => {
+      (animation.samplers || []).forEach((sampler, s) => {
+        check('accessors', sampler.input, `/animations/${a}/samplers/${s}/input`);
+        check('accessors', sampler.output, `/animations/${a}/samplers/${s}/output`);
+      });
+      (animation.channels || []).forEach((channel, c) => {
+        check('nodes', channel.target?.node, `/animations/${a}/channels/${c}/target/node`);
+      });
+    });
+  }
+
+  /**
+   * Accessor and buffer view ranges
+   */
+  checkAccessors(json) {
+    const bufferViews = json.bufferViews || [];
+    const buffers = json.buffers || [];
+    
+    bufferViews.forEach((view, index) => {
+      const buffer = buffers[view.buffer];
+      if (buffer && (view.byteOffset || 0) + view.byteLength > buffer.byteLength) {
+        this.addIssue('error', 'BUFFER_VIEW_OUT_OF_RANGE', 'bufferView dépasse la taille de son buffer', `/bufferViews/${index}`);
+      }
+    });
+    
+    (json.accessors || []).forEach((accessor, index) => {
+      const pointer = `/accessors/${index}`;
+      
+      if (accessor.count < 1) {
+        this.addIssue('error', 'ACCESSOR_EMPTY', 'Accessor sans éléments (count < 1)', pointer);
+      }
+      
+      const componentSize = COMPONENT_SIZES[accessor.componentType];
+      const components = TYPE_SIZES[accessor.type];
+      const view = bufferViews[accessor.bufferView];
+      if (!componentSize || !components || !view) return;
+      
+      const elementSize = componentSize * components;
+      const stride = view.byteStride || elementSize;
+      const offset = accessor.byteOffset || 0;
+      
+      if (offset % componentSize !== 0) {
+        this.addIssue('error', 'ACCESSOR_MISALIGNED', 'byteOffset non aligné sur la taille des composantes', pointer);
+      }
+      
+      if (accessor.count > 0 && offset + stride * (accessor.count - 1) + elementSize > view.byteLength) {
+        this.addIssue('error', 'ACCESSOR_OUT_OF_RANGE', 'Accessor dépasse la taille de son bufferView', pointer);
+      }
+    });
+  }
+
+  /**
+   * Extensions three.js can't read, and extensions marketplaces ignore
+   */
+  checkExtensions(json) {
+    const required = new Set(json.extensionsRequired || []);
+    
+    (json.extensionsUsed || []).forEach((extension) => {
+      if (!SUPPORTED_EXTENSIONS.has(extension)) {
+        this.addIssue(
+          required.has(extension) ? 'error' : 'warning',
+          'UNSUPPORTED_EXTENSION',
+          `Extension ${extension} non supportée${required.has(extension) ? ' (requise)' : ', ignorée au chargement'}`,
+          '/extensionsUsed'
+        );
+      } else if (MARKETPLACE_IGNORED_EXTENSIONS.has(extension)) {
+        this.addIssue('warning', 'MARKETPLACE_IGNORED_EXTENSION', `Extension ${extension} ignorée par les visualiseurs des marketplaces, l'aperçu peut différer`, '/extensionsUsed');
+      }
+    });
+    
+    required.forEach((extension) => {
+      if (!(json.extensionsUsed || []).includes(extension)) {
+        this.addIssue('error', 'EXTENSION_NOT_DECLARED', `Extension ${extension} requise mais absente de extensionsUsed`, '/extensionsRequired');
+      }
+    });
+  }
+
+  /**
+   * Missing normals and tangents, position bounds
+   */
+  checkPrimitives(json) {
+    (json.meshes || []).forEach((mesh, m) => {
+      (mesh.primitives || []).forEach((primitive, p) => {
+        const pointer = `/meshes/${m}/primitives/${p}`;
+        const attributes = primitive.attributes || {};
+        const isTriangles = (primitive.mode ?? 4) >= 4;
+        
+        if (typeof attributes.POSITION === 'undefined') {
+          this.addIssue('error', 'MISSING_POSITION', 'Primitive sans attribut POSITION', pointer);
+          return;
+        }
+        
+        const position = (json.accessors || [])[attributes.POSITION];
+        if (position && (!position.min || !position.max)) {
+          this.addIssue('error', 'ACCESSOR_MIN_MAX', 'min/max requis pour l\'accessor POSITION', `/accessors/${attributes.POSITION}`);
+        }
+        
+        if (isTriangles && typeof attributes.NORMAL === 'undefined') {
+          this.addIssue('warning', 'MISSING_NORMALS', 'Normales absentes, recalculées au chargement (ombrage lissé)', pointer);
+        }
+        
+        const material = (json.materials || [])[primitive.material];
+        if (material?.normalTexture && typeof attributes.TANGENT === 'undefined') {
+          this.addIssue('info', 'MISSING_TANGENTS', 'Normal map sans tangentes, calculées par le visualiseur', pointer);
+        }
+      });
+    });
+  }
+
+  /**
+   * Nodes not reachable from any scene
+   */
+  checkUnusedNodes(json) {
+    const nodes = json.nodes || [];
+    const reachable = new Set();
+    
+    const visit = (index) => {
+      if (reachable.has(index) || !nodes[index]) return;
+      reachable.add(index);
+      (nodes[index].children || []).forEach(visit);
+    };
+    
+    (json.scenes || []).forEach((scene) => (scene.nodes || []).forEach(visit));
+    
+    // Skin joints may live outside the scene hierarchy
+    (json.skins || []).forEach((skin) => (skin.joints || []).forEach(visit));
+    
+    nodes.forEach((node, index) => {
+      if (!reachable.has(index)) {
+        this.addIssue('warning', 'UNUSED_NODE', `Nœud "${node.name || index}" hors de toute scène`, `/nodes/${index}`);
+      }
+    });
+  }
+
+  /**
+   * NaN vertices and out-of-range indices in the decoded geometry
+   */
+  checkGeometryData(gltf) {
+    const { associations } = gltf.parser;
+    const checked = new Set();
+    
+    gltf.scene.traverse((child) => {
+      if (!child.isMesh || !child.geometry || checked.has(child.geometry)) return;
+      checked.add(child.geometry);
+      
+      const reference = associations.get(child) || {};
+      const pointer = typeof reference.meshes === 'number'
+        ? `/meshes/${reference.meshes}/primitives/${reference.primitives ?? 0}`
+        : '';
+      
+      const { position, normal } = child.geometry.attributes;
+      [position, normal].forEach((attribute) => {
+        if (attribute && this.hasInvalidValues(attribute)) {
+          this.addIssue('error', 'NAN_VERTICES', `Valeurs NaN ou infinies dans ${attribute === position ? 'POSITION' : 'NORMAL'}`, pointer);
+        }
+      });
+      
+      const { index } = child.geometry;
+      if (index && position) {
+        for (let i = 0; i < index.count; i++) {
+          if (index.getX(i) >= position.count) {
+            this.addIssue('error', 'INDEX_OUT_OF_RANGE', 'Indices au-delà du nombre de sommets', pointer);
+            break;
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Non-power-of-two texture sizes
+   */
+  checkTextures(gltf) {
+    const { associations } = gltf.parser;
+    const checked = new Set();
+    
+    gltf.scene.traverse((child) => {
+      if (!child.isMesh || !child.material) return;
+      
+      (Array.isArray(child.material) ? child.material : [child.material]).forEach((material) => {
+        Object.values(material).forEach((texture) => {
+          if (!texture?.isTexture || checked.has(texture) || !texture.image) return;
+          checked.add(texture);
+          
+          const { width, height } = texture.image;
+          if (width && height && (!this.isPowerOfTwo(width) || !this.isPowerOfTwo(height))) {
+            const index = associations.get(texture)?.textures;
+            this.addIssue(
+              'warning',
+              'NPOT_TEXTURE',
+              `Texture ${texture.name || index} en ${width}×${height}, dimensions non puissance de 2`,
+              typeof index === 'number' ? `/textures/${index}` : ''
+            );
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Check an attribute for NaN or infinite components
+   */
+  hasInvalidValues(attribute) {
+    for (let i = 0; i < attribute.count; i++) {
+      for (let c = 0; c < attribute.itemSize; c++) {
+        if (!Number.isFinite(attribute.getComponent(i, c))) return true;
+      }
+    }
+    
+    return false;
+  }
+
+  /**
+   * Check if a value is a power of two
+   */
+  isPowerOfTwo(value) {
+    return (value & (value - 1)) === 0;
+  }
+}
@@ -0,0 +1,547 @@
+/**
+ * ModelLoader.js - Multi-Format Model Loader
+ * Dispatches files to the right three.js loader and hands the result to the glTF pipeline
+ */
+
+import * as THREE from 'three';
+import { GLTFModelLoader } from './GLTFLoader.js';
+import { ZipReader } from './ZipReader.js';
+
+// Source conventions per format; glTF (meters, +Y up) is the reference
+const FORMATS = [
+  { id: 'gltf', name: 'glTF', extensions: ['.glb', '.gltf'], unit: 'm', upAxis: '+y' },
+  { id: 'obj', name: 'OBJ', extensions: ['.obj'], unit: null, upAxis: '+y' }, // No unit in the format
+  { id: 'fbx', name: 'FBX', extensions: ['.fbx'], unit: 'cm', upAxis: '+y' }, // Overridden by the file settings
+  { id: 'stl', name: 'STL', extensions: ['.stl'], unit: 'mm', upAxis: '+z' }, // 3D printing conventions
+  { id: 'ply', name: 'PLY', extensions: ['.ply'], unit: 'mm', upAxis: '+z' },
+  { id: 'usdz', name: 'USDZ', extensions: ['.usdz'], unit: 'cm', upAxis: '+y' }, // USD defaults, overridden by the stage
+  { id: '3mf', name: '3MF', extensions: ['.3mf'], unit: 'mm', upAxis: '+z' } // Overridden by the model unit
+];
+
+export const METERS_PER_UNIT = {
+  m: 1,
+  cm: 0.01,
+  mm: 0.001,
+  um: 0.000001,
+  in: 0.0254,
+  ft: 0.3048
+};
+
+// Unit names written by OBJ exporters in header comments (e.g. "# Units: inches")
+const OBJ_UNIT_COMMENTS = {
+  meter: 'm',
+  centimeter: 'cm',
+  millimeter: 'mm',
+  inch: 'in',
+  foot: 'ft'
+};
+
+const THREE_MF_UNITS = {
+  micron: 'um',
+  millimeter: 'mm',
+  centimeter: 'cm',
+  inch: 'in',
+  foot: 'ft',
+  meter: 'm'
+};
+
+// Content the three.js loaders skip, reported as dropped on import
+const USDZ_DROPPED_FEATURES = [
+  { pattern: /SkelRoot|UsdSkel|skel:/, label: 'Squelettes et skinning' },
+  { pattern: /\.timeSamples/, label: 'Animations' },
+  { pattern: /variantSet/, label: 'Variantes' },
+  { pattern: /Preliminary_/, label: 'Comportements AR Quick Look (ancrage, interactions)' },
+  { pattern: /xformOp:(translate|rotate|scale|orient)/, label: 'Transformations hors matrice (translate/rotate/scale)' },
+  { pattern: /inputs:opacity/, label: 'Opacité des matériaux' },
+  { pattern: /inputs:occlusion/, label: 'Occlusion ambiante' },
+  { pattern: /inputs:displacement/, label: 'Displacement' },
+  { pattern: /(references|payload)\s*=\s*@/, label: 'Références vers d\'autres fichiers USD' }
+];
+
+const THREE_MF_DROPPED_FEATURES = [
+  { pattern: /<(\w+:)?beamlattice\b/, label: 'Beam lattice' },
+  { pattern: /<(\w+:)?slicestack\b/, label: 'Tranches (slice extension)' },
+  { pattern: /<(\w+:)?multiproperties\b/, label: 'Propriétés combinées (multiproperties)' },
+  { pattern: /<(\w+:)?compositematerials\b/, label: 'Matériaux composites' },
+  { pattern: /<(\w+:)?(pbspecular|translucent)displayproperties\b/, label: 'Propriétés d\'affichage spéculaires ou translucides' },
+  { pattern: /<(\w+:)?component\b[^>]*\bp:path=/, label: 'Composants d\'autres fichiers (production extension)' }
+];
+
+export class ModelLoader {
+  constructor(scene, renderer = null) {
+    this.scene = scene;
+    this.gltfLoader = new GLTFModelLoader(scene, renderer);
+    this.formats = FORMATS;
+    this.hasTGAHandler = false;
+  }
+
+  /**
+   * Set the WebGL renderer used for compressed texture support
+   */
+  setRenderer(renderer) {
+    this.gltfLoader.setRenderer(renderer);
+  }
+
+  /**
+   * File extensions of all supported model formats
+   */
+  getSupportedExtensions() {
+    return this.formats.flatMap((format) => format.extensions);
+  }
+
+  /**
+   * Find the format of a file from its name
+   */
+  getFormat(fileName) {
+    const name = fileName.toLowerCase();
+    return this.formats.find((format) => format.extensions.some((ext) => name.endsWith(ext))) || null;
+  }
+
+  /**
+   * Validate file type
+   */
+  isValidFile(file) {
+    return this.getFormat(file.name) !== null;
+  }
+
+  /**
+   * Load model from file, whatever its format
+   * resources maps relative paths to the files selected with the model (.bin, .mtl, textures)
+   * options.optimizeMaterials (default true) merges identical materials and drops unused ones
+   */
+  async load(file, resources = null, options = {}) {
+    if (!file) {
+      throw new Error('No file provided');
+    }
+    
+    const format = this.getFormat(file.name);
+    if (!format) {
+      throw new Error(`Invalid file type. Supported formats: ${this.getSupportedExtensions().join(', ')}`);
+    }
+    
+    let source = this.createSource(format);
+    let model;
+    
+    if (format.id === 'gltf') {
+      model = await this.gltfLoader.load(file, resources, options);
+    } else {
+      model = await this.gltfLoader.loadWithResources(file, resources, async (modelPath) => {
+        const loaded = await this.loadFormat(format, file, modelPath);
+        ({ source } = loaded);
+        
+        return {
+          scene: this.createRoot(loaded.scene, source),
+          animations: loaded.animations || []
+        };
+      }, options);
+    }
+    
+    model.userData.source = source;
+    model.userData.fileName = file.name;
+    model.userData.sourceSize = resources && resources.size > 0
+      ? Array.from(resources.values()).reduce((sum, resource) => sum + resource.size, 0)
+      : file.size;
+    model.userData.droppedFeatures = source.droppedFeatures || null;
+    console.log(`📦 ${source.format} model (${source.unit || 'unknown unit'}, ${source.upAxis.toUpperCase()} up)`);
+    
+    return model;
+  }
+
+  /**
+   * Parse a non-glTF file with its three.js loader
+   */
+  async loadFormat(format, file, modelPath) {
+    const basePath = modelPath.includes('/') ? modelPath.slice(0, modelPath.lastIndexOf('/') + 1) : '';
+    
+    // OBJ/MTL and FBX often reference Targa textures
+    await this.registerTGAHandler();
+    
+    switch (format.id) {
+      case 'obj':
+        return this.loadOBJ(format, file, basePath);
+      case 'fbx':
+        return this.loadFBX(format, file, basePath);
+      case 'stl':
+      case 'ply':
+        return this.loadGeometry(format, file);
+      case 'usdz':
+        return this.loadUSDZ(format, file);
+      case '3mf':
+        return this.load3MF(format, file);
+      default:
+        throw new Error(`No loader for ${format.name} files`);
+    }
+  }
+
+  /**
+   * Load an OBJ file with the material libraries it references
+   */
+  async loadOBJ(format, file, basePath) {
+    const { OBJLoader } = await import('three/addons/loaders/OBJLoader.js');
+    const { MTLLoader } = await import('three/addons/loaders/MTLLoader.js');
+    
+    const manager = this.gltfLoader.loadingManager;
+    const text = await file.text();
+    const objLoader = new OBJLoader(manager);
+    
+    // One mtllib line can list several libraries, separated by spaces
+    const libraries = [...new Set(Array.from(text.matchAll(/^\s*mtllib\s+(.+?)\s*$/gm), (match) => match[1].split(/\s+/)).flat())];
+    const creators = [];
+    
+    for (const library of libraries) {
+      try {
+        creators.push(await new MTLLoader(manager).loadAsync(`${basePath}${library}`));
+      } catch (error) {
+        // Missing libraries are reported by the resource resolver, the mesh still loads
+        console.warn(`⚠️ Material library not loaded: ${library}`, error);
+      }
+    }
+    
+    if (creators.length > 0) {
+      const [materials, ...others] = creators;
+      others.forEach((creator) => {
+        materials.setMaterials({ ...materials.materialsInfo, ...creator.materialsInfo });
+      });
+      
+      materials.preload();
+      objLoader.setMaterials(materials);
+    }
+    
+    // OBJ has no unit, but some exporters state it in a comment
+    const unitComment = text.match(/^#.*\bunits?\b\s*[:=]?\s*(meter|centimeter|millimeter|inch|foot)/im);
+    const source = this.createSource(format);
+    if (unitComment) {
+      source.unit = OBJ_UNIT_COMMENTS[unitComment[1].toLowerCase()];
+      source.metersPerUnit = METERS_PER_UNIT[source.unit];
+      source.unitDeclared = true;
+    }
+    
+    return {
+      scene: objLoader.parse(text),
+      animations: [],
+      source
+    };
+  }
+
+  /**
+   * Load an FBX file, reading its unit and axis settings
+   */
+  async loadFBX(format, file, basePath) {
+    const { FBXLoader } = await import('three/addons/loaders/FBXLoader.js');
+    
+    const buffer = await file.arrayBuffer();
+    const scene = new FBXLoader(this.gltfLoader.loadingManager).parse(buffer, basePath);
+    
+    // UnitScaleFactor is the size of one file unit in centimeters
+    const unitScale = scene.userData.unitScaleFactor || 1;
+    const unit = this.getUnitName(unitScale / 100);
+    
+    const upAxis = this.readFBXUpAxis(buffer) || format.upAxis;
+    
+    return {
+      scene,
+      animations: scene.animations,
+      source: {
+        ...this.createSource(format),
+        unit,
+        metersPerUnit: unitScale / 100,
+        unitDeclared: true,
+        upAxis
+      }
+    };
+  }
+
+  /**
+   * Load a geometry-only format (STL, PLY) as a single mesh
+   */
+  async loadGeometry(format, file) {
+    const { STLLoader } = await import('three/addons/loaders/STLLoader.js');
+    const { PLYLoader } = await import('three/addons/loaders/PLYLoader.js');
+    
+    const loader = format.id === 'stl' ? new STLLoader() : new PLYLoader();
+    const geometry = loader.parse(await file.arrayBuffer());
+    const hasColors = Boolean(geometry.getAttribute('color'));
+    const name = file.name.replace(/\.[^.]+$/, '');
+    
+    let object;
+    if (format.id === 'ply' && !geometry.index) {
+      // Point clouds have no faces to shade
+      object = new THREE.Points(geometry, new THREE.PointsMaterial({
+        color: hasColors ? 0xffffff : 0x808080,
+        vertexColors: hasColors,
+        size: 2,
+        sizeAttenuation: false
+      }));
+    } else {
+      object = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+        name,
+        color: hasColors ? 0xffffff : 0xb0b0b0,
+        vertexColors: hasColors,
+        metalness: 0.0,
+        roughness: 0.6
+      }));
+    }
+    
+    object.name = name;
+    
+    const scene = new THREE.Group();
+    scene.add(object);
+    
+    return { scene, animations: [], source: this.createSource(format) };
+  }
+
+  /**
+   * Load a USDZ package (text USDA layers only)
+   */
+  async loadUSDZ(format, file) {
+    const { USDZLoader } = await import('three/addons/loaders/USDZLoader.js');
+    
+    const layers = await this.readPackage(file, /\.usd[ac]?$/i);
+    const text = layers.filter((layer) => !layer.binary).map((layer) => layer.text).join('\n');
+    
+    if (layers.length > 0 && layers.every((layer) => layer.binary)) {
+      throw new Error('Binary USD (usdc) layers are not supported');
+    }
+    
+    const scene = new USDZLoader().parse(await file.arrayBuffer());
+    
+    let hasGeometry = false;
+    scene.traverse((child) => {
+      hasGeometry = hasGeometry || Boolean(child.isMesh);
+    });
+    
+    if (!hasGeometry) {
+      throw new Error('No geometry found in USDZ package');
+    }
+    
+    const droppedFeatures = this.findDroppedFeatures(text, USDZ_DROPPED_FEATURES);
+    if (layers.some((layer) => layer.binary)) {
+      droppedFeatures.unshift('Calques USD binaires (usdc)');
+    }
+    
+    // Stage metadata, USD defaults to centimeters and +Y up
+    const metersMatch = text.match(/metersPerUnit\s*=\s*([\d.eE+-]+)/);
+    const upMatch = text.match(/upAxis\s*=\s*"([YZ])"/);
+    const metersPerUnit = metersMatch ? parseFloat(metersMatch[1]) : METERS_PER_UNIT[format.unit];
+    
+    return {
+      scene,
+      animations: [],
+      source: {
+        ...this.createSource(format),
+        unit: this.getUnitName(metersPerUnit),
+        metersPerUnit,
+        unitDeclared: Boolean(metersMatch),
+        upAxis: upMatch ? `+${upMatch[1].toLowerCase()}` : format.upAxis,
+        droppedFeatures
+      }
+    };
+  }
+
+  /**
+   * Load a 3MF package with its materials and colors
+   */
+  async load3MF(format, file) {
+    const { ThreeMFLoader } = await import('three/addons/loaders/3MFLoader.js');
+    
+    const parts = await this.readPackage(file, /\.model$/i);
+    const text = parts.map((part) => part.text).join('\n');
+    
+    const scene = new ThreeMFLoader().parse(await file.arrayBuffer());
+    
+    // The unit is set on the root model part, millimeters by default
+    const unitMatch = text.match(/<model\b[^>]*\bunit="(\w+)"/);
+    const unit = THREE_MF_UNITS[unitMatch ? unitMatch[1] : 'millimeter'] || format.unit;
+    
+    return {
+      scene,
+      animations: [],
+      source: {
+        ...this.createSource(format),
+        unit,
+        metersPerUnit: METERS_PER_UNIT[unit],
+        unitDeclared: true,
+        droppedFeatures: this.findDroppedFeatures(text, THREE_MF_DROPPED_FEATURES)
+      }
+    };
+  }
+
+  /**
+   * Read the text entries of a ZIP-based package matching a pattern
+   * Binary USD layers are flagged instead of decoded
+   */
+  async readPackage(file, pattern) {
+    const reader = new ZipReader();
+    const decoder = new TextDecoder();
+    
+    try {
+      const entries = (await reader.open(file)).filter((entry) => pattern.test(entry.path));
+      const parts = [];
+      
+      for (const entry of entries) {
+        const bytes = await reader.extract(entry);
+        const binary = decoder.decode(bytes.subarray(0, 8)) === 'PXR-USDC';
+        
+        parts.push({ path: entry.path, binary, text: binary ? '' : decoder.decode(bytes) });
+      }
+      
+      return parts;
+    } finally {
+      reader.dispose();
+    }
+  }
+
+  /**
+   * Labels of the features found in the source that the loader ignores
+   */
+  findDroppedFeatures(text, features) {
+    return features.filter((feature) => feature.pattern.test(text)).map((feature) => feature.label);
+  }
+
+  /**
+   * Read the up axis from the FBX global settings (ASCII or binary)
+   * Returns '+y', '-z', ... or null when the settings are not found
+   */
+  readFBXUpAxis(buffer) {
+    const axis = this.readFBXSetting(buffer, 'UpAxis');
+    const sign = this.readFBXSetting(buffer, 'UpAxisSign');
+    
+    if (axis === null || !['x', 'y', 'z'][axis]) {
+      return null;
+    }
+    
+    return `${sign === -1 ? '-' : '+'}${['x', 'y', 'z'][axis]}`;
+  }
+
+  /**
+   * Read an integer property from the FBX global settings
+   */
+  readFBXSetting(buffer, name) {
+    const bytes = new Uint8Array(buffer);
+    const header = new TextDecoder().decode(bytes.subarray(0, 18));
+    
+    if (header !== 'Kaydara FBX Binary') {
+      const text = new TextDecoder().decode(bytes);
+      const match = text.match(new RegExp(`"${name}"\\s*,\\s*"int"\\s*,\\s*"Integer"\\s*,\\s*"[^"]*"\\s*,\\s*(-?\\d+)`));
+      return match ? parseInt(match[1], 10) : null;
+    }
+    
+    // Binary properties are length-prefixed strings ('S') followed by the value ('I')
+    const view = new DataView(buffer);
+    const key = new TextEncoder().encode(name);
+    
+    for (let i = 0; i + 5 + key.length < bytes.length; i++) {
+      if (bytes[i] !== 0x53 || view.getUint32(i + 1, true) !== key.length ||
+          !key.every((byte, k) => bytes[i + 5 + k] === byte)) {
+        continue;
+      }
+      
+      // Skip the type, label and flags strings
+      let offset = i + 5 + key.length;
+      for (let s = 0; s < 3 && bytes[offset] === 0x53; s++) {
+        offset += 5 + view.getUint32(offset + 1, true);
+      }
+      
+      return bytes[offset] === 0x49 ? view.getInt32(offset + 1, true) : null;
+    }
+    
+    return null;
+  }
+
+  /**
+   * Wrap loaded content in a group converted to meters and +Y up
+   */
+  createRoot(content, source) {
+    const root = new THREE.Group();
+    
+    const up = new THREE.Vector3();
+    up.setComponent('xyz'.indexOf(source.upAxis[1]), source.upAxis[0] === '-' ? -1 : 1);
+    
+    content.quaternion.premultiply(new THREE.Quaternion().setFromUnitVectors(up, new THREE.Vector3(0, 1, 0)));
+    content.scale.multiplyScalar(source.metersPerUnit);
+    content.updateMatrix();
+    
+    root.add(content);
+    return root;
+  }
+
+  /**
+   * Short name of a unit from its size in meters (null if not a common unit)
+   */
+  getUnitName(metersPerUnit) {
+    return Object.keys(METERS_PER_UNIT).find((key) => Math.abs(METERS_PER_UNIT[key] - metersPerUnit) < 1e-9) || null;
+  }
+
+  /**
+   * Source format description stored on the model
+   */
+  createSource(format) {
+    return {
+      format: format.name,
+      unit: format.unit,
+      metersPerUnit: format.unit ? METERS_PER_UNIT[format.unit] : 1,
+      unitDeclared: false, // Format convention only, the file may use another unit
+      upAxis: format.upAxis
+    };
+  }
+
+  /**
+   * Let OBJ/MTL and FBX textures in .tga resolve through the loading manager
+   */
+  async registerTGAHandler() {
+    if (this.hasTGAHandler) {
+      return;
+    }
+    
+    const { TGALoader } = await import('three/addons/loaders/TGALoader.js');
+    const manager = this.gltfLoader.loadingManager;
+    
+    manager.addHandler(/\.tga$/i, new TGALoader(manager));
+    this.hasTGAHandler = true;
+  }
+
+  /**
+   * Export a model as an optimized binary GLB, with a before/after report
+   */
+  async exportOptimizedGLB(model, options = {}) {
+    const { ModelOptimizer } = await import('../export/ModelOptimizer.js');
+    const optimizer = new ModelOptimizer();
+    const settings = optimizer.mergeSettings(options);
+    
+    const { scene, animations, stats } = optimizer.prepare(model, settings);
+    
+    // GLTFExporter resizes textures above maxTextureSize and writes KHR_mesh_quantization when needed
+    let glb = await this.gltfLoader.exportModel(scene, {
+      binary: true,
+      animations,
+      maxTextureSize: settings.maxTextureSize
+    });
+    
+    if (settings.compression === 'meshopt') {
+      glb = await optimizer.compressMeshopt(glb);
+    }
+    
+    const blob = new Blob([glb], { type: 'model/gltf-binary' });
+    const report = optimizer.createReport(
+      { size: model.userData.sourceSize || 0, ...this.gltfLoader.getModelStats(model) },
+      { size: blob.size, ...this.gltfLoader.getModelStats(scene) },
+      stats,
+      settings
+    );
+    
+    const baseName = (model.userData.fileName || 'model').replace(/\.[^.]+$/, '');
+    console.log(`📦 Optimized GLB: ${model.userData.sourceSize} → ${blob.size} bytes`);
+    
+    return { blob, filename: `${baseName}_optimized.glb`, report };
+  }
+
+  /**
+   * Dispose of loader resources
+   */
+  dispose() {
+    this.gltfLoader.dispose();
+    this.gltfLoader = null;
+    
+    console.log('🗑️ Model loader disposed');
+  }
+}
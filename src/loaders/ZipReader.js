@@ -0,0 +1,169 @@
+/**
+ * ZipReader.js - In-Browser ZIP Archive Reader
+ * Lists and extracts model packages using the native DecompressionStream
+ */
+
+export class ZipReader {
+  constructor() {
+    this.buffer = null;
+    this.view = null;
+    this.entries = [];
+    this.decoder = new TextDecoder();
+  }
+
+  /**
+   * Read the central directory of an archive file
+   */
+  async open(file) {
+    this.buffer = await file.arrayBuffer();
+    this.view = new DataView(this.buffer);
+    
+    const end = this.findEndOfCentralDirectory();
+    const count = this.view.getUint16(end + 10, true);
+    let offset = this.view.getUint32(end + 16, true);
+    
+    if (count === 0xffff || offset === 0xffffffff) {
+      throw new Error('ZIP64 archives are not supported');
+    }
+    
+    this.entries = [];
+    
+    for (let i = 0; i < count; i++) {
+      if (this.view.getUint32(offset, true) !== 0x02014b50) {
+        throw new Error('Corrupted ZIP central directory');
+      }
+      
+      const flags = this.view.getUint16(offset + 8, true);
+      const nameLength = this.view.getUint16(offset + 28, true);
+      const extraLength = this.view.getUint16(offset + 30, true);
+      const commentLength = this.view.getUint16(offset + 32, true);
+      const path = this.decoder.decode(new Uint8Array(this.buffer, offset + 46, nameLength));
+      
+      this.entries.push({
+        path,
+        method: this.view.getUint16(offset + 10, true),
+        encrypted: (flags & 0x1) !== 0,
+        compressedSize: this.view.getUint32(offset + 20, true),
+        size: this.view.getUint32(offset + 24, true),
+        headerOffset: this.view.getUint32(offset + 42, true),
+        directory: path.endsWith('/')
+      });
+      
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+    
+    return this.getFileEntries();
+  }
+
+  /**
+   * Entries that are real files (no folders or macOS metadata)
+   */
+  getFileEntries() {
+    return this.entries.filter((entry) =>
+      !entry.directory &&
+      !entry.path.startsWith('__MACOSX/') &&
+      !entry.path.split('/').pop().startsWith('.')
+    );
+  }
+
+  /**
+   * Total uncompressed size of all files
+   */
+  get totalSize() {
+    return this.getFileEntries().reduce((sum, entry) => sum + entry.size, 0);
+  }
+
+  /**
+   * Extract one entry as bytes
+   */
+  async extract(entry) {
+    if (entry.encrypted) {
+      throw new Error(`Encrypted entry not supported: ${entry.path}`);
+    }
+    
+    // Local header lengths may differ from the central directory ones
+    const header = entry.headerOffset;
+    if (this.view.getUint32(header, true) !== 0x04034b50) {
+      throw new Error(`Corrupted ZIP entry: ${entry.path}`);
+    }
+    
+    const dataOffset = header + 30 + this.view.getUint16(header + 26, true) + this.view.getUint16(header + 28, true);
+    const data = new Uint8Array(this.buffer, dataOffset, entry.compressedSize);
+    
+    switch (entry.method) {
+      case 0:
+        return data.slice();
+      case 8:
+        return this.inflate(data, entry.size);
+      default:
+        throw new Error(`Unsupported compression method ${entry.method}: ${entry.path}`);
+    }
+  }
+
+  /**
+   * Extract all files as File objects keyed by their path in the archive
+   */
+  async extractAll() {
+    const files = new Map();
+    
+    for (const entry of this.getFileEntries()) {
+      const bytes = await this.extract(entry);
+      files.set(entry.path, new File([bytes], entry.path.split('/').pop()));
+    }
+    
+    return files;
+  }
+
+  /**
+   * Inflate raw deflate data, refusing output larger than the declared size
+   */
+  async inflate(data, expectedSize) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('DecompressionStream not supported by this browser');
+    }
+    
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    const reader = stream.getReader();
+    const output = new Uint8Array(expectedSize);
+    let size = 0;
+    
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      
+      if (size + value.length > expectedSize) {
+        await reader.cancel();
+        throw new Error('ZIP entry is larger than its declared size');
+      }
+      
+      output.set(value, size);
+      size += value.length;
+    }
+    
+    return output.subarray(0, size);
+  }
+
+  /**
+   * Locate the end of central directory record (may be followed by a comment)
+   */
+  findEndOfCentralDirectory() {
+    const minOffset = Math.max(0, this.buffer.byteLength - 22 - 0xffff);
+    
+    for (let offset = this.buffer.byteLength - 22; offset >= minOffset; offset--) {
+      if (this.view.getUint32(offset, true) === 0x06054b50) {
+        return offset;
+      }
+    }
+    
+    throw new Error('Not a ZIP archive');
+  }
+
+  /**
+   * Release the archive data
+   */
+  dispose() {
+    this.buffer = null;
+    this.view = null;
+    this.entries = [];
+  }
+}
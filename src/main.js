@@ -5,15 +5,22 @@
 
 import { Scene } from './core/Scene.js';
 import { Renderer } from './core/Renderer.js';
-import { CameraManager } from './core/CameraManager.js';
+import { CameraManager, DEFAULT_NAMED_CAMERAS } from './core/CameraManager.js';
 import { Controls } from './core/Controls.js';
-import { GLTFModelLoader } from './loaders/GLTFLoader.js';
+import { MeshAnalyzer, MESH_ISSUE_COLORS } from './core/MeshAnalyzer.js';
+import { DimensionManager } from './core/DimensionManager.js';
+import { MeasurementManager } from './core/MeasurementManager.js';
+import { ModelOrientation } from './core/ModelOrientation.js';
+import { ModelLoader } from './loaders/ModelLoader.js';
 import { FileUploader } from './ui/FileUploader.js';
 import { ControlPanel } from './ui/ControlPanel.js';
 import { PreviewManager } from './ui/PreviewManager.js';
+import { ShotList } from './ui/ShotList.js';
 import { ImageExporter } from './export/ImageExporter.js';
 import { Templates } from './export/Templates.js';
 import { BatchProcessor } from './export/BatchProcessor.js';
+import { AnimationEncoder } from './export/AnimationEncoder.js';
+import { UVLayoutExporter } from './export/UVLayoutExporter.js';
 
 /**
  * Main Application Class
@@ -25,8 +32,20 @@ class MultiViewPlatform {
     this.settings = {
       lighting: 'studio',
       background: 'turbosquid',
+      customBackground: '#f7f7f7', // Color used when background is 'custom'
       quality: 'standard',
-      marketplace: 'turbosquid'
+      marketplace: 'turbosquid',
+      includeTurntable: false,
+      includeUVLayout: false,
+      includeMaterialChannels: false,
+      includeDimensions: false,
+      includeMeasurements: false,
+      includeScaleShot: false, // Extra product shot with the scale reference
+      scaleReference: 'none', // Reference object placed next to the model (see ScaleReferences.js)
+      compositeBackground: true, // Exact template background bytes in exports
+      optimizeMaterials: true, // Merge identical materials and drop unused ones on load
+      showMeshIssues: true, // Topology defects overlay in the viewports (never in exports)
+      showDimensions: true // Dimension lines in the orthographic viewports
     };
     
     // Core components
@@ -35,15 +54,21 @@ class MultiViewPlatform {
     this.cameraManager = null;
     this.controls = null;
     this.modelLoader = null;
+    this.meshAnalyzer = null;
+    this.dimensionManager = null;
+    this.measurementManager = null;
     
     // UI components
     this.fileUploader = null;
     this.controlPanel = null;
     this.previewManager = null;
+    this.shotList = null;
     
     // Export components
     this.imageExporter = null;
     this.templates = null;
+    this.animationEncoder = null;
+    this.uvLayoutExporter = null;
     this.batchProcessor = null;
     
     // DOM elements
@@ -53,6 +78,7 @@ class MultiViewPlatform {
     
     // State tracking
     this.captureStates = new Set(); // Track which viewports are capturing
+    this.validationReport = null; // Report of the last loaded glTF, even when loading failed
     
     this.init();
   }
@@ -129,8 +155,25 @@ class MultiViewPlatform {
     // Initialize controls (synchronized across all views)
     this.controls = new Controls(this.cameraManager, this.renderer);
     
-    // Initialize model loader
-    this.modelLoader = new GLTFModelLoader(this.scene);
+    // Initialize model loader (renderer is needed to pick KTX2 texture formats)
+    this.modelLoader = new ModelLoader(this.scene, this.renderer.getRenderer('front'));
+    this.meshAnalyzer = new MeshAnalyzer();
+    
+    // Dimension lines live in the scene, each view only renders its own
+    this.dimensionManager = new DimensionManager(this.cameraManager);
+    this.scene.getScene().add(this.dimensionManager.group);
+    
+    // Measurements picked through the controls, drawn in every view
+    this.measurementManager = new MeasurementManager(this.dimensionManager);
+    this.scene.getScene().add(this.measurementManager.group);
+    this.controls.onMeasure((event) => this.handleMeasure(event));
+    
+    // Orientation fixes are part of the model transform, so every capture uses the corrected front
+    this.modelOrientation = new ModelOrientation(this.scene, this.cameraManager, this.canvases.front);
+    this.modelOrientation.onChange((model) => this.handleOrientationChange(model));
+    this.modelOrientation.gizmo.addEventListener('dragging-changed', (e) => {
+      this.controls.setRotateEnabled(!e.value);
+    });
     
     // Setup lighting
     this.scene.setupLighting(this.settings.lighting);
@@ -188,7 +231,8 @@ class MultiViewPlatform {
   initUI() {
     // File uploader with drag & drop
     this.fileUploader = new FileUploader({
-      onFileSelected: (file) => this.handleFileUpload(file),
+      acceptedTypes: this.modelLoader.getSupportedExtensions(),
+      onFileSelected: (file, resources) => this.handleFileUpload(file, resources),
       onError: (error) => this.showToast(error, 'error')
     });
     
@@ -200,6 +244,11 @@ class MultiViewPlatform {
     
     // Preview manager
     this.previewManager = new PreviewManager(this.viewports);
+    
+    // Saved shots of the current model
+    this.shotList = new ShotList({
+      onApply: (shot) => this.applyShot(shot)
+    });
   }
 
   /**
@@ -215,13 +264,37 @@ class MultiViewPlatform {
     // Connect scene to image exporter
     this.imageExporter.setScene(this.scene);
     
+    // Encoder for animated turntable deliverables
+    this.animationEncoder = new AnimationEncoder();
+    
+    // UV layout renderer for CheckMate Pro submissions
+    this.uvLayoutExporter = new UVLayoutExporter();
+    
     // Batch processor for multiple exports
-    this.batchProcessor = new BatchProcessor(this.imageExporter, this.templates);
+    this.batchProcessor = new BatchProcessor(
+      this.imageExporter,
+      this.templates,
+      this.animationEncoder,
+      this.uvLayoutExporter
+    );
     
     // Setup progress callbacks
     this.batchProcessor.onProgress((data) => {
       console.log('Export progress:', data);
-      // You can update UI progress here
+      
+      // Show the expected size before a turntable is encoded
+      if (data.stage === 'turntable' && data.step === 'estimate') {
+        this.showToast(`Turntable ${data.container.toUpperCase()} : ~${data.estimate.formatted}`, 'info');
+      }
+      
+      // Video containers the browser can't record are replaced by a supported one
+      if (data.stage === 'turntable' && data.step === 'fallback') {
+        this.showToast(`Turntable ${data.requested.toUpperCase()} non supporté par ce navigateur, export en ${data.container.toUpperCase()}`, 'warning');
+      }
+      
+      if (data.stage === 'packaging') {
+        this.showLoading(`Création de l'archive ZIP... (${data.completed}/${data.total})`);
+      }
     });
     
     this.batchProcessor.onError((data) => {
@@ -246,12 +319,27 @@ class MultiViewPlatform {
       exportBtn.addEventListener('click', () => this.handleExportAll());
     }
     
+    const optimizeBtn = document.getElementById('export-optimized');
+    if (optimizeBtn) {
+      optimizeBtn.addEventListener('click', () => this.handleExportOptimized());
+    }
+    
+    const validationBtn = document.getElementById('export-validation');
+    if (validationBtn) {
+      validationBtn.addEventListener('click', () => this.exportValidationReport());
+    }
+    
     // Control buttons
     const resetBtn = document.getElementById('reset-camera');
     if (resetBtn) {
       resetBtn.addEventListener('click', () => this.resetCamera());
     }
     
+    const snapAxesBtn = document.getElementById('snap-axes');
+    if (snapAxesBtn) {
+      snapAxesBtn.addEventListener('click', () => this.snapToAxes());
+    }
+    
     const centerBtn = document.getElementById('center-model');
     if (centerBtn) {
       centerBtn.addEventListener('click', () => this.centerModel());
@@ -270,6 +358,11 @@ class MultiViewPlatform {
       });
     });
     
+    // Per-viewport projection, to mix ortho technical views with perspective shots
+    document.querySelectorAll('.projection-btn').forEach((btn) => {
+      btn.addEventListener('click', () => this.toggleViewProjection(btn.dataset.view));
+    });
+    
     // Setting controls
     document.querySelectorAll('.preset-btn').forEach(btn => {
       btn.addEventListener('click', (e) => {
@@ -307,40 +400,224 @@ class MultiViewPlatform {
         this.setQuality(e.target.value);
       });
     }
+    
+    const turntableToggle = document.getElementById('include-turntable');
+    if (turntableToggle) {
+      turntableToggle.addEventListener('change', (e) => {
+        this.settings.includeTurntable = e.target.checked;
+      });
+    }
+    
+    const uvLayoutToggle = document.getElementById('include-uv-layout');
+    if (uvLayoutToggle) {
+      uvLayoutToggle.addEventListener('change', (e) => {
+        this.settings.includeUVLayout = e.target.checked;
+      });
+    }
+    
+    const channelsToggle = document.getElementById('include-material-channels');
+    if (channelsToggle) {
+      channelsToggle.addEventListener('change', (e) => {
+        this.settings.includeMaterialChannels = e.target.checked;
+      });
+    }
+    
+    const compositeToggle = document.getElementById('composite-background');
+    if (compositeToggle) {
+      compositeToggle.addEventListener('change', (e) => {
+        this.settings.compositeBackground = e.target.checked;
+      });
+    }
+    
+    const optimizeMaterialsToggle = document.getElementById('optimize-materials');
+    if (optimizeMaterialsToggle) {
+      optimizeMaterialsToggle.addEventListener('change', (e) => {
+        this.settings.optimizeMaterials = e.target.checked;
+      });
+    }
+    
+    const meshIssuesToggle = document.getElementById('show-mesh-issues');
+    if (meshIssuesToggle) {
+      meshIssuesToggle.addEventListener('change', (e) => {
+        this.settings.showMeshIssues = e.target.checked;
+        this.scene.setAnalysisOverlayVisible(e.target.checked);
+      });
+    }
+    
+    const dimensionsToggle = document.getElementById('show-dimensions');
+    if (dimensionsToggle) {
+      dimensionsToggle.addEventListener('change', (e) => {
+        this.settings.showDimensions = e.target.checked;
+        this.dimensionManager.setVisible(e.target.checked);
+      });
+    }
+    
+    const includeDimensionsToggle = document.getElementById('include-dimensions');
+    if (includeDimensionsToggle) {
+      includeDimensionsToggle.addEventListener('change', (e) => {
+        this.settings.includeDimensions = e.target.checked;
+      });
+    }
+    
+    const unitSelect = document.getElementById('model-unit');
+    if (unitSelect) {
+      unitSelect.addEventListener('change', (e) => this.setModelUnit(e.target.value));
+    }
+    
+    const measureBtn = document.getElementById('measure-mode');
+    if (measureBtn) {
+      measureBtn.addEventListener('click', () => this.controls.setMeasureMode(!this.controls.measureMode));
+    }
+    
+    document.querySelectorAll('[data-rotate-axis]').forEach((btn) => {
+      btn.addEventListener('click', () => this.modelOrientation.rotate(btn.dataset.rotateAxis, 90));
+    });
+    
+    const alignFloorBtn = document.getElementById('align-floor');
+    if (alignFloorBtn) {
+      alignFloorBtn.addEventListener('click', () => this.alignModelToFloor());
+    }
+    
+    const orientationGizmoToggle = document.getElementById('show-orientation-gizmo');
+    if (orientationGizmoToggle) {
+      orientationGizmoToggle.addEventListener('change', (e) => {
+        this.modelOrientation.setGizmoVisible(e.target.checked);
+      });
+    }
+    
+    const resetOrientationBtn = document.getElementById('reset-orientation');
+    if (resetOrientationBtn) {
+      resetOrientationBtn.addEventListener('click', () => this.modelOrientation.reset());
+    }
+    
+    const clearMeasurementsBtn = document.getElementById('clear-measurements');
+    if (clearMeasurementsBtn) {
+      clearMeasurementsBtn.addEventListener('click', () => {
+        this.measurementManager.clear();
+        this.updateMeasurementList();
+      });
+    }
+    
+    const scaleReferenceSelect = document.getElementById('scale-reference');
+    if (scaleReferenceSelect) {
+      scaleReferenceSelect.addEventListener('change', (e) => {
+        this.settings.scaleReference = e.target.value;
+        this.updateScaleReference();
+      });
+    }
+    
+    const scaleShotToggle = document.getElementById('include-scale-shot');
+    if (scaleShotToggle) {
+      scaleShotToggle.addEventListener('change', (e) => {
+        this.settings.includeScaleShot = e.target.checked;
+      });
+    }
+    
+    const includeMeasurementsToggle = document.getElementById('include-measurements');
+    if (includeMeasurementsToggle) {
+      includeMeasurementsToggle.addEventListener('change', (e) => {
+        this.settings.includeMeasurements = e.target.checked;
+      });
+    }
+    
+    const saveCameraBtn = document.getElementById('save-named-camera');
+    if (saveCameraBtn) {
+      saveCameraBtn.addEventListener('click', () => this.saveNamedCamera());
+    }
+    
+    const saveShotBtn = document.getElementById('save-shot');
+    if (saveShotBtn) {
+      saveShotBtn.addEventListener('click', () => this.saveShot());
+    }
+    
+    const exportShotsBtn = document.getElementById('export-shots');
+    if (exportShotsBtn) {
+      exportShotsBtn.addEventListener('click', () => this.exportShots());
+    }
+    
+    this.updateNamedCameraList();
   }
 
   /**
    * Handle file upload
    */
-  async handleFileUpload(file) {
+  async handleFileUpload(file, resources = null) {
     try {
       this.showLoading('Chargement du modèle...');
       
-      // Load the model
-      const model = await this.modelLoader.load(file);
+      // Load the model with its external resources (.bin, .mtl, textures)
+      const model = await this.modelLoader.load(file, resources, {
+        optimizeMaterials: this.settings.optimizeMaterials
+      });
       
       // Store current model reference
       this.currentModel = model;
       
+      // Shots and orientation are stored per model file content, so a renamed file keeps them
+      const modelKey = await this.shotList.getModelKey(file);
+      
+      // Check the topology and highlight defects in the viewports
+      this.analyzeMesh(model);
+      
+      // Recover the real size from the source unit
+      this.dimensionManager.setupModel(model);
+      this.dimensionManager.update(model);
+      
+      const unitSelect = document.getElementById('model-unit');
+      if (unitSelect) unitSelect.value = 'auto';
+      
+      this.updateScaleReference();
+      
+      // Measurements belong to the previous model
+      this.measurementManager.setModel(model);
+      this.controls.setMeasureTargets([model]);
+      this.updateMeasurementList();
+      
+      this.modelOrientation.setModel(model, modelKey);
+      this.modelOrientation.setGizmoVisible(document.getElementById('show-orientation-gizmo')?.checked);
+      
       // Auto-frame the model
       this.autoFrame();
       
+      this.shotList.setModel(modelKey);
+      
       // Update model info display
       this.updateModelInfo(model);
       
-      // Enable export button
-      const exportBtn = document.getElementById('export-all');
-      if (exportBtn) {
-        exportBtn.disabled = false;
-      }
+      // Enable export buttons
+      ['export-all', 'export-optimized', 'export-validation', 'save-shot', 'export-shots'].forEach((id) => {
+        const button = document.getElementById(id);
+        if (button) {
+          button.disabled = false;
+        }
+      });
       
       this.hideLoading();
       this.showToast('Modèle chargé avec succès', 'success');
       
+      if (model.userData.missingResources?.length > 0) {
+        this.showToast(`Fichiers manquants : ${model.userData.missingResources.join(', ')}`, 'warning');
+      }
+      
     } catch (error) {
       this.hideLoading();
       console.error('Error loading model:', error);
-      this.showToast('Erreur lors du chargement', 'error');
+      
+      // Show why a glTF was rejected, and allow exporting the report
+      if (error.validation) {
+        this.showValidationReport(error.validation);
+        
+        const exportBtn = document.getElementById('export-validation');
+        if (exportBtn) exportBtn.disabled = false;
+      }
+      
+      if (error.missingFiles) {
+        this.showToast(`Fichiers manquants : ${error.missingFiles.join(', ')}`, 'error');
+      } else if (error.validation?.summary.errors > 0) {
+        this.showToast(`Fichier glTF invalide : ${error.validation.summary.errors} erreur(s), voir le rapport de validation`, 'error');
+      } else {
+        this.showToast('Erreur lors du chargement', 'error');
+      }
     }
   }
 
@@ -455,6 +732,8 @@ class MultiViewPlatform {
         this.controls.update();
       }
       
+      this.dimensionManager?.followOrbit();
+      
       if (this.renderer && this.scene && this.cameraManager) {
         this.renderer.render(this.scene, this.cameraManager.cameras);
       }
@@ -479,10 +758,43 @@ class MultiViewPlatform {
   centerModel() {
     if (this.currentModel && this.scene) {
       this.scene.centerModel(this.currentModel);
+      this.dimensionManager.update(this.currentModel);
+      this.updateScaleReference();
       this.showToast('Modèle centré', 'success');
     }
   }
 
+  /**
+   * Switch a viewport between orthographic and perspective projection
+   */
+  toggleViewProjection(viewName) {
+    const projection = this.cameraManager.getViewProjection(viewName) === 'perspective' ? 'orthographic' : 'perspective';
+    if (!this.setViewProjection(viewName, projection)) return;
+    
+    this.showToast(`Vue ${viewName} : ${projection === 'perspective' ? 'perspective (Maj + molette : focale)' : 'orthographique'}`, 'info');
+  }
+
+  /**
+   * Set a viewport projection and update its header button
+   */
+  setViewProjection(viewName, projection) {
+    const camera = this.cameraManager.setViewProjection(viewName, projection);
+    if (!camera) return null;
+    
+    // The orientation gizmo lives in the front view
+    if (viewName === 'front') {
+      this.modelOrientation.setCamera(camera);
+    }
+    
+    const button = document.querySelector(`.projection-btn[data-view="${viewName}"]`);
+    if (button) {
+      button.textContent = projection === 'perspective' ? 'Persp' : 'Ortho';
+      button.classList.toggle('active', projection === 'perspective');
+    }
+    
+    return camera;
+  }
+
   /**
    * Auto-frame model in all views
    */
@@ -496,7 +808,7 @@ class MultiViewPlatform {
   /**
    * Set lighting preset
    */
-  setLightingPreset(preset) {
+  setLightingPreset(preset, notify = true) {
     this.settings.lighting = preset;
     this.scene.setupLighting(preset);
     
@@ -505,13 +817,15 @@ class MultiViewPlatform {
       btn.classList.toggle('active', btn.getAttribute('data-preset') === preset);
     });
     
-    this.showToast(`Éclairage: ${preset}`, 'success');
+    if (notify) {
+      this.showToast(`Éclairage: ${preset}`, 'success');
+    }
   }
 
   /**
    * Set background
    */
-  setBackground(background) {
+  setBackground(background, notify = true) {
     this.settings.background = background;
     this.scene.setupBackground(background);
     
@@ -520,15 +834,30 @@ class MultiViewPlatform {
       btn.classList.toggle('active', btn.getAttribute('data-background') === background);
     });
     
-    this.showToast(`Arrière-plan: ${background}`, 'success');
+    if (notify) {
+      this.showToast(`Arrière-plan: ${background}`, 'success');
+    }
   }
 
   /**
    * Set custom background color
    */
-  setCustomBackground(color) {
+  setCustomBackground(color, notify = true) {
+    this.settings.background = 'custom';
+    this.settings.customBackground = color;
     this.scene.setupBackground('custom', color);
-    this.showToast(`Couleur personnalisée: ${color}`, 'success');
+    
+    // Update UI
+    document.querySelectorAll('.bg-btn').forEach((btn) => {
+      btn.classList.remove('active');
+    });
+    
+    const colorPicker = document.getElementById('custom-color');
+    if (colorPicker) colorPicker.value = color;
+    
+    if (notify) {
+      this.showToast(`Couleur personnalisée: ${color}`, 'success');
+    }
   }
 
   /**
@@ -597,6 +926,7 @@ class MultiViewPlatform {
       const canvasSize = this.renderer.getCanvasSize(viewName);
       const exportSettings = {
         ...this.settings,
+        measurements: this.settings.includeMeasurements,
         resolution: canvasSize ? {
           width: Math.floor(canvasSize.width * 2), // 2x for quality
           height: Math.floor(canvasSize.height * 2)
@@ -652,8 +982,6 @@ class MultiViewPlatform {
       // Export all views
       const results = await this.batchProcessor.exportAll(exportSettings, template);
       
-      this.hideLoading();
-      
       // Validate results
       if (!Array.isArray(results)) {
         throw new Error('Invalid results format from batch processor');
@@ -663,8 +991,10 @@ class MultiViewPlatform {
         throw new Error('No results returned from export');
       }
       
-      // Download all images
-      await this.downloadBatch(results);
+      // Download all images as a single archive
+      await this.downloadBatch(results, template);
+      
+      this.hideLoading();
       
       const successCount = results.filter(r => r && r.success).length;
       const totalCount = results.length;
@@ -687,7 +1017,17 @@ class MultiViewPlatform {
    */
   toggleAutoRotation() {
     if (this.controls) {
-      this.controls.toggleAutoRotation();
+      this.controls.toggleAutoRotate();
+    }
+  }
+
+  /**
+   * Turn the views back to the front/back/left/right/top/bottom axes
+   */
+  snapToAxes() {
+    if (this.controls) {
+      this.controls.snapToAxes();
+      this.showToast('Vues réalignées sur les axes', 'success');
     }
   }
 
@@ -701,11 +1041,605 @@ class MultiViewPlatform {
     const vertexCount = document.getElementById('vertex-count');
     const materialCount = document.getElementById('material-count');
     const textureCount = document.getElementById('texture-count');
+    const formatInfo = document.getElementById('model-format');
+    const droppedInfo = document.getElementById('dropped-features');
+    const optimizationInfo = document.getElementById('optimization-info');
     
     if (polyCount) polyCount.textContent = stats.triangles.toLocaleString();
     if (vertexCount) vertexCount.textContent = stats.vertices.toLocaleString();
     if (materialCount) materialCount.textContent = stats.materials;
     if (textureCount) textureCount.textContent = stats.textures;
+    if (formatInfo) formatInfo.textContent = this.formatSource(model.userData.source);
+    
+    this.showDimensions(model);
+    
+    // Only USDZ and 3MF sources are inspected for features the loaders skip
+    if (droppedInfo) {
+      const dropped = model.userData.droppedFeatures;
+      droppedInfo.textContent = dropped ? dropped.join(', ') || 'Rien' : '-';
+      droppedInfo.classList.toggle('warning', Boolean(dropped?.length));
+    }
+    
+    if (optimizationInfo) {
+      const report = model.userData.optimization;
+      optimizationInfo.textContent = this.formatOptimization(report);
+      optimizationInfo.title = report ? this.describeOptimization(report) : '';
+    }
+    
+    this.showValidationReport(model.userData.validation);
+    this.showMeshAnalysis(model.userData.meshAnalysis);
+  }
+
+  /**
+   * Display the real-world bounding box size in the model unit
+   */
+  showDimensions(model) {
+    const dimensionsInfo = document.getElementById('model-dimensions');
+    const { dimensions } = model.userData;
+    if (!dimensionsInfo) return;
+    
+    if (!dimensions) {
+      dimensionsInfo.textContent = '-';
+      return;
+    }
+    
+    const size = this.dimensionManager.formatSize(this.dimensionManager.getRealSize(model), dimensions.unit);
+    const hint = dimensions.inferred && !dimensions.override ? ' (unité déduite)' : '';
+    dimensionsInfo.textContent = `${size}${hint}`;
+    dimensionsInfo.title = 'Largeur × Hauteur × Profondeur';
+  }
+
+  /**
+   * Override the unit of the current model ('auto' restores the detected one)
+   */
+  setModelUnit(unit) {
+    if (!this.currentModel) return;
+    
+    this.dimensionManager.setUnit(this.currentModel, unit === 'auto' ? null : unit);
+    this.dimensionManager.update(this.currentModel);
+    this.showDimensions(this.currentModel);
+    
+    // Measurement labels and the scale reference depend on the unit too
+    this.measurementManager.render();
+    this.updateMeasurementList();
+    this.updateScaleReference();
+  }
+
+  /**
+   * Keep the model centered and its annotations in sync after an orientation change
+   */
+  handleOrientationChange(model) {
+    this.scene.centerModel(model);
+    model.updateMatrixWorld(true);
+    
+    // Width, height and depth follow the corrected axes
+    this.dimensionManager.update(model);
+    this.showDimensions(model);
+    this.measurementManager.render();
+    this.updateScaleReference();
+  }
+
+  /**
+   * Level the model on its base
+   */
+  alignModelToFloor() {
+    if (!this.currentModel) return;
+    
+    if (this.modelOrientation.alignToFloor()) {
+      this.showToast('Modèle posé à plat', 'success');
+    } else {
+      this.showToast('Aucune face d\'appui proche de l\'horizontale', 'warning');
+    }
+  }
+
+  /**
+   * Place (or remove) the chosen scale reference at the real scale of the current model
+   */
+  updateScaleReference() {
+    if (!this.currentModel) return;
+    
+    const metersPerSceneUnit = this.dimensionManager.getMetersPerSceneUnit(this.currentModel);
+    this.scene.setScaleReference(this.settings.scaleReference, metersPerSceneUnit);
+  }
+
+  /**
+   * Handle measurement events from the controls (mode change, cancel, picked point)
+   */
+  handleMeasure(event) {
+    if (typeof event.mode === 'boolean') {
+      document.getElementById('measure-mode')?.classList.toggle('active', event.mode);
+      if (event.mode) {
+        this.showToast('Mesure : cliquez deux points dans une vue (Échap pour annuler)', 'info');
+      } else {
+        this.measurementManager.cancelPending();
+      }
+      return;
+    }
+    
+    if (event.cancel) {
+      this.measurementManager.cancelPending();
+      return;
+    }
+    
+    const measurement = this.measurementManager.addPoint(event);
+    if (measurement) {
+      this.updateMeasurementList();
+      this.showToast(`Mesure ${measurement.id} : ${this.measurementManager.formatDistance(measurement)}`, 'success');
+    }
+  }
+
+  /**
+   * List the measurements with a remove button each
+   */
+  updateMeasurementList() {
+    const list = document.getElementById('measurement-list');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    this.measurementManager.measurements.forEach((measurement) => {
+      const item = document.createElement('li');
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'measurement-remove';
+      remove.textContent = '×';
+      remove.title = 'Supprimer la mesure';
+      remove.addEventListener('click', () => {
+        this.measurementManager.remove(measurement.id);
+        this.updateMeasurementList();
+      });
+      
+      const snapped = measurement.snapped.every(Boolean) ? ' (sommets)' : '';
+      item.append(`${measurement.id} · ${this.measurementManager.formatDistance(measurement)}${snapped}`, remove);
+      list.appendChild(item);
+    });
+    
+    list.classList.toggle('hidden', list.children.length === 0);
+  }
+
+  /**
+   * Save the named camera described by the form
+   */
+  saveNamedCamera() {
+    const value = (id) => document.getElementById(id)?.value;
+    const name = (value('camera-name') || '').trim();
+    
+    try {
+      this.cameraManager.setNamedCamera(name, {
+        azimuth: value('camera-azimuth'),
+        elevation: value('camera-elevation'),
+        projection: value('camera-projection'),
+        fov: value('camera-fov'),
+        padding: Number(value('camera-padding')) / 100
+      });
+      
+      this.updateNamedCameraList();
+      this.showToast(`Caméra « ${name} » enregistrée`, 'success');
+    } catch (error) {
+      console.error('Error saving named camera:', error);
+      this.showToast('Nom de caméra invalide (lettres, chiffres, - et _, hors vues standard)', 'error');
+    }
+  }
+
+  /**
+   * Load a named camera into the form for editing
+   */
+  editNamedCamera(name, definition) {
+    const fields = {
+      'camera-name': name,
+      'camera-azimuth': definition.azimuth,
+      'camera-elevation': definition.elevation,
+      'camera-projection': definition.projection,
+      'camera-fov': definition.fov,
+      'camera-padding': Math.round(definition.padding * 100)
+    };
+    
+    Object.entries(fields).forEach(([id, fieldValue]) => {
+      const field = document.getElementById(id);
+      if (field) field.value = fieldValue;
+    });
+  }
+
+  /**
+   * List the named cameras with capture and remove buttons
+   */
+  updateNamedCameraList() {
+    const list = document.getElementById('named-camera-list');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    Object.entries(this.cameraManager.getNamedCameraDefinitions()).forEach(([name, definition]) => {
+      const item = document.createElement('li');
+      item.className = 'named-camera';
+      item.title = 'Cliquer pour modifier';
+      item.addEventListener('click', () => this.editNamedCamera(name, definition));
+      
+      const capture = document.createElement('button');
+      capture.type = 'button';
+      capture.className = 'camera-capture';
+      capture.textContent = '📸';
+      capture.title = 'Capturer cette vue';
+      capture.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.captureView(name);
+      });
+      
+      const projection = definition.projection === 'perspective' ? `perspective ${definition.fov}°` : 'ortho';
+      item.append(`${name} · ${definition.azimuth}° / ${definition.elevation}° · ${projection}`, capture);
+      
+      // Built-in cameras can be overridden; removing the override restores them
+      if (this.cameraManager.userNamedCameras[name]) {
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'measurement-remove';
+        remove.textContent = '×';
+        remove.title = DEFAULT_NAMED_CAMERAS[name] ? 'Revenir à la caméra par défaut' : 'Supprimer la caméra';
+        remove.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.cameraManager.removeNamedCamera(name);
+          this.updateNamedCameraList();
+        });
+        item.appendChild(remove);
+      }
+      
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Current camera rig with the per-view projections, lighting and background
+   */
+  getShotState() {
+    const { target, distance, frustumSize, orbitAngles, fov, perspectiveFit } = this.cameraManager.saveState();
+    const projections = Object.fromEntries(
+      Object.keys(this.cameraManager.cameras).map((viewName) => [viewName, this.cameraManager.getViewProjection(viewName)])
+    );
+    
+    return {
+      camera: { target: target.toArray(), distance, frustumSize, orbitAngles, fov, perspectiveFit, projections },
+      lighting: this.settings.lighting,
+      background: this.settings.background,
+      customBackground: this.settings.background === 'custom' ? this.settings.customBackground : null
+    };
+  }
+
+  /**
+   * Save the current rig as a shot of the loaded model, with a front view thumbnail
+   */
+  async saveShot() {
+    if (!this.currentModel) {
+      this.showToast('Aucun modèle chargé', 'warning');
+      return;
+    }
+    
+    try {
+      const thumbnail = await this.imageExporter.captureView('front', {
+        resolution: { width: 160, height: 120 },
+        format: 'image/webp',
+        quality: 0.8,
+        background: this.scene.getScene().background,
+        highResolution: true
+      });
+      
+      const shot = this.shotList.add({
+        name: this.shotList.getNextName(),
+        ...this.getShotState(),
+        thumbnail: thumbnail.imageData
+      });
+      
+      this.showToast(`Plan « ${shot.name} » enregistré`, 'success');
+    } catch (error) {
+      console.error('Error saving shot:', error);
+      this.showToast('Erreur lors de l\'enregistrement du plan', 'error');
+    }
+  }
+
+  /**
+   * Put a saved shot's camera rig, projections, lighting and background back in place
+   */
+  applyShot(shot, notify = true) {
+    const { target, projections = {}, ...state } = shot.camera;
+    const [x, y, z] = target;
+    
+    Object.entries(projections).forEach(([viewName, projection]) => {
+      if (this.cameraManager.getViewProjection(viewName) !== projection) {
+        this.setViewProjection(viewName, projection);
+      }
+    });
+    
+    this.cameraManager.restoreState({
+      ...state,
+      target: { x, y, z },
+      aspectRatio: this.cameraManager.aspectRatio,
+      framed: this.cameraManager.framed
+    });
+    
+    this.setLightingPreset(shot.lighting, false);
+    if (shot.background === 'custom' && shot.customBackground) {
+      this.setCustomBackground(shot.customBackground, false);
+    } else {
+      this.setBackground(shot.background, false);
+    }
+    
+    if (notify) {
+      this.showToast(`Plan « ${shot.name} » appliqué`, 'success');
+    }
+  }
+
+  /**
+   * Export the six views of every saved shot as a single archive
+   */
+  async exportShots() {
+    if (!this.currentModel) {
+      this.showToast('Aucun modèle chargé', 'warning');
+      return;
+    }
+    
+    const shots = this.shotList.getShots();
+    if (shots.length === 0) {
+      this.showToast('Aucun plan enregistré', 'warning');
+      return;
+    }
+    
+    if (this.batchProcessor.isProcessing) {
+      this.showToast('Export déjà en cours...', 'warning');
+      return;
+    }
+    
+    // Back to the rig the user was working with once every shot is captured
+    const current = this.getShotState();
+    
+    try {
+      this.showLoading(`Export de ${shots.length} plan(s)...`);
+      
+      const template = this.templates.getTemplate(this.settings.marketplace);
+      const results = await this.batchProcessor.exportShots(
+        shots,
+        (shot) => this.applyShot(shot, false),
+        this.settings,
+        template
+      );
+      
+      await this.downloadBatch(results, template);
+      this.hideLoading();
+      
+      const successCount = results.filter((result) => result.success).length;
+      this.showToast(`${successCount}/${results.length} images de plans exportées`, successCount > 0 ? 'success' : 'error');
+      
+    } catch (error) {
+      this.hideLoading();
+      console.error('Error exporting shots:', error);
+      this.showToast(`Erreur export: ${error.message}`, 'error');
+    } finally {
+      this.applyShot(current, false);
+    }
+  }
+
+  /**
+   * Run the topology analysis and replace the viewport overlay
+   */
+  analyzeMesh(model) {
+    const analysis = this.meshAnalyzer.analyze(model);
+    
+    // Only the counts are kept on the model, the overlay holds the geometry
+    model.userData.meshAnalysis = { counts: analysis.counts, total: analysis.total };
+    
+    this.scene.setAnalysisOverlay(this.meshAnalyzer.createOverlay(analysis));
+    this.scene.setAnalysisOverlayVisible(this.settings.showMeshIssues);
+  }
+
+  /**
+   * Display topology issue counts with their overlay color
+   */
+  showMeshAnalysis(analysis) {
+    const summary = document.getElementById('mesh-issues-summary');
+    const list = document.getElementById('mesh-issues');
+    const labels = {
+      degenerateTriangles: 'Triangles dégénérés',
+      nonManifoldEdges: 'Arêtes non-manifold',
+      boundaryEdges: 'Arêtes de bord (trous)',
+      flippedFaces: 'Faces inversées',
+      isolatedVertices: 'Sommets isolés',
+      duplicateFaces: 'Faces dupliquées'
+    };
+    
+    if (summary) {
+      summary.textContent = analysis ? (analysis.total === 0 ? 'Aucun défaut' : `${analysis.total.toLocaleString()} défauts`) : '-';
+      summary.classList.toggle('warning', Boolean(analysis?.total));
+    }
+    
+    if (list) {
+      list.innerHTML = '';
+      
+      Object.entries(analysis?.counts || {})
+        .filter(([, count]) => count > 0)
+        .forEach(([type, count]) => {
+          const item = document.createElement('li');
+          const swatch = document.createElement('span');
+          swatch.className = 'issue-swatch';
+          swatch.style.backgroundColor = `#${MESH_ISSUE_COLORS[type].toString(16).padStart(6, '0')}`;
+          item.append(swatch, `${labels[type]} : ${count.toLocaleString()}`);
+          list.appendChild(item);
+        });
+      
+      list.classList.toggle('hidden', list.children.length === 0);
+    }
+  }
+
+  /**
+   * Display the validation summary and its issues by severity
+   */
+  showValidationReport(report) {
+    const summary = document.getElementById('validation-summary');
+    const list = document.getElementById('validation-issues');
+    const exportBtn = document.getElementById('export-validation');
+    
+    // Kept apart from the model: files rejected by the loader have a report but no model
+    this.validationReport = report || null;
+    
+    // Only glTF sources are validated
+    if (exportBtn) exportBtn.classList.toggle('hidden', !report);
+    
+    if (summary) {
+      summary.classList.remove('error', 'warning');
+      
+      if (!report) {
+        summary.textContent = '-';
+      } else {
+        const { errors, warnings, infos } = report.summary;
+        summary.textContent = errors + warnings + infos === 0
+          ? 'Aucun problème'
+          : `${errors} erreurs, ${warnings} avertissements, ${infos} infos`;
+        if (errors > 0) summary.classList.add('error');
+        else if (warnings > 0) summary.classList.add('warning');
+      }
+    }
+    
+    if (list) {
+      const icons = { error: '❌', warning: '⚠️', info: 'ℹ️' };
+      const order = { error: 0, warning: 1, info: 2 };
+      const issues = report ? [...report.issues].sort((a, b) => order[a.severity] - order[b.severity]) : [];
+      
+      list.innerHTML = '';
+      issues.forEach((issue) => {
+        const item = document.createElement('li');
+        item.className = issue.severity;
+        item.textContent = `${icons[issue.severity]} ${issue.message}`;
+        item.title = `${issue.code}${issue.pointer ? ` — ${issue.pointer}` : ''}`;
+        list.appendChild(item);
+      });
+      
+      list.classList.toggle('hidden', issues.length === 0);
+    }
+  }
+
+  /**
+   * Download the last validation report as JSON
+   */
+  exportValidationReport() {
+    const report = this.validationReport;
+    if (!report) {
+      this.showToast('Aucun rapport de validation', 'warning');
+      return;
+    }
+    
+    const baseName = (report.file || 'model').replace(/\.[^.]+$/, '');
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+    this.downloadBlob(blob, `${baseName}_validation.json`);
+  }
+
+  /**
+   * Summarize the material optimization done on load
+   */
+  formatOptimization(report) {
+    if (!report) {
+      return 'Désactivée';
+    }
+    
+    const merged = report.mergedMaterials.reduce((sum, merge) => sum + merge.merged.length, 0);
+    const parts = [];
+    if (merged > 0) parts.push(`${merged} matériaux fusionnés`);
+    if (report.removedMaterials.length > 0) parts.push(`${report.removedMaterials.length} supprimés`);
+    if (report.disposedTextures.length > 0) parts.push(`${report.disposedTextures.length} textures libérées`);
+    
+    return parts.length > 0 ? parts.join(', ') : 'Aucun changement';
+  }
+
+  /**
+   * Detail of merged and removed materials, shown as a tooltip
+   */
+  describeOptimization(report) {
+    const lines = report.mergedMaterials.map((merge) => `${merge.kept} ← ${merge.merged.join(', ')}`);
+    
+    if (report.removedMaterials.length > 0) {
+      lines.push(`Supprimés : ${report.removedMaterials.join(', ')}`);
+    }
+    if (report.disposedTextures.length > 0) {
+      lines.push(`Textures libérées : ${report.disposedTextures.join(', ')}`);
+    }
+    
+    return lines.join('\n');
+  }
+
+  /**
+   * Describe the source format with its unit and up axis, e.g. "FBX (cm, Z up)"
+   */
+  formatSource(source) {
+    if (!source) {
+      return '-';
+    }
+    
+    const unit = source.unit || 'unité inconnue';
+    return `${source.format} (${unit}, ${source.upAxis.replace('+', '').toUpperCase()} up)`;
+  }
+
+  /**
+   * Export the loaded model as an optimized GLB and show the size/polycount report
+   */
+  async handleExportOptimized() {
+    if (!this.currentModel) {
+      this.showToast('Aucun modèle chargé', 'warning');
+      return;
+    }
+    
+    const textureSize = document.getElementById('optimize-texture-size')?.value || '2048';
+    const options = {
+      maxTextureSize: textureSize === 'original' ? Infinity : parseInt(textureSize, 10),
+      compression: document.getElementById('optimize-compression')?.value || 'none',
+      weld: document.getElementById('optimize-weld')?.checked ?? true,
+      prune: document.getElementById('optimize-prune')?.checked ?? true
+    };
+    
+    try {
+      this.showLoading('Optimisation du modèle...');
+      
+      const { blob, filename, report } = await this.modelLoader.exportOptimizedGLB(this.currentModel, options);
+      
+      this.downloadBlob(blob, filename);
+      this.showOptimizeReport(report);
+      
+      this.hideLoading();
+      this.showToast(`GLB optimisé : ${this.formatBytes(report.after.size)}`, 'success');
+      
+    } catch (error) {
+      this.hideLoading();
+      console.error('Optimized export failed:', error);
+      this.showToast('Erreur lors de l\'export GLB', 'error');
+    }
+  }
+
+  /**
+   * Display the before/after comparison of an optimized export
+   */
+  showOptimizeReport(report) {
+    const container = document.getElementById('optimize-report');
+    if (!container) return;
+    
+    const change = (ratio) => (ratio > 0 ? ` (${ratio <= 1 ? '-' : '+'}${Math.round(Math.abs(1 - ratio) * 100)}%)` : '');
+    const rows = [
+      ['Taille', `${this.formatBytes(report.before.size)} → ${this.formatBytes(report.after.size)}${change(report.sizeRatio)}`],
+      ['Polygones', `${report.before.triangles.toLocaleString()} → ${report.after.triangles.toLocaleString()}${change(report.triangleRatio)}`],
+      ['Vertices', `${report.before.vertices.toLocaleString()} → ${report.after.vertices.toLocaleString()}${change(report.vertexRatio)}`],
+      ['Matériaux', `${report.before.materials} → ${report.after.materials}`]
+    ];
+    
+    container.innerHTML = '';
+    rows.forEach(([label, value]) => {
+      const item = document.createElement('div');
+      item.className = 'info-item';
+      item.innerHTML = `<span class="info-label">${label}:</span><span class="info-value">${value}</span>`;
+      container.appendChild(item);
+    });
+    
+    container.classList.remove('hidden');
+  }
+
+  /**
+   * Format a byte count for display
+   */
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
   }
 
   /**
@@ -731,9 +1665,9 @@ class MultiViewPlatform {
   }
 
   /**
-   * Download batch of images
+   * Download batch of images as a single ZIP archive with manifest
    */
-  async downloadBatch(results) {
+  async downloadBatch(results, template = null) {
     if (!Array.isArray(results)) {
       console.error('Results is not an array:', results);
       this.showToast('Format de résultats invalide', 'error');
@@ -746,35 +1680,49 @@ class MultiViewPlatform {
       return;
     }
     
-    // Filter successful results with valid data
-    const successfulResults = results.filter(result => 
-      result && 
-      result.success && 
-      result.data && 
-      typeof result.data === 'string' &&
-      result.filename
-    );
-    
-    if (successfulResults.length === 0) {
+    const successCount = results.filter((result) => result && result.success).length;
+    if (successCount === 0) {
       console.warn('No successful results with valid data');
       this.showToast('Aucun fichier valide à télécharger', 'warning');
       return;
     }
     
-    console.log(`Downloading ${successfulResults.length} files...`);
-    
-    // Download each successful result with staggered timing
-    successfulResults.forEach((result, index) => {
-      setTimeout(() => {
-        try {
-          this.downloadImage(result.data, result.filename);
-        } catch (error) {
-          console.error(`Error downloading ${result.filename}:`, error);
-        }
-      }, index * 200); // 200ms delay between downloads
-    });
+    try {
+      const archive = await this.batchProcessor.createArchive(results, this.settings, template);
+      
+      console.log(`Downloading archive ${archive.filename} (${archive.manifest.files.length} files)`);
+      this.downloadBlob(archive.blob, archive.filename);
+      
+      if (archive.manifest.summary.invalid > 0) {
+        this.showToast(`${archive.manifest.summary.invalid} fichier(s) non conforme(s), voir manifest.json`, 'warning');
+      }
+      
+    } catch (error) {
+      console.error('Error creating archive:', error);
+      this.showToast(`Erreur lors de la création de l'archive: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Download a blob as a file
+   */
+  downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
     
-    this.showToast(`Téléchargement de ${successfulResults.length} fichiers...`, 'info');
+    try {
+      const link = document.createElement('a');
+      link.download = filename;
+      link.href = url;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+    } catch (error) {
+      console.error('Error downloading file:', error);
+      this.showToast('Erreur lors du téléchargement', 'error');
+    } finally {
+      // Give the browser time to start the download before releasing the blob
+      setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
   }
 
   /**
@@ -806,10 +1754,17 @@ class MultiViewPlatform {
     const toast = document.createElement('div');
     
     toast.className = `toast ${type}`;
-    toast.innerHTML = `
-      <span class="toast-icon">${this.getToastIcon(type)}</span>
-      <span class="toast-message">${message}</span>
-    `;
+    
+    const icon = document.createElement('span');
+    icon.className = 'toast-icon';
+    icon.textContent = this.getToastIcon(type);
+    
+    // Messages can carry file names from models and archives, never parse them as markup
+    const text = document.createElement('span');
+    text.className = 'toast-message';
+    text.textContent = message;
+    
+    toast.append(icon, text);
     
     container.appendChild(toast);
     
@@ -841,6 +1796,9 @@ class MultiViewPlatform {
     if (this.batchProcessor) {
       this.batchProcessor.dispose();
     }
+    if (this.animationEncoder) {
+      this.animationEncoder.dispose();
+    }
     if (this.controls) {
       this.controls.dispose();
     }
@@ -3,11 +3,14 @@
  * Handles file selection, validation, and upload progress
  */
 
+import { ZipReader } from '../loaders/ZipReader.js';
+
 export class FileUploader {
   constructor(options = {}) {
     this.options = {
       acceptedTypes: ['.glb', '.gltf'],
-      maxFileSize: 100 * 1024 * 1024, // 100MB
+      archiveTypes: ['.zip'], // Model packages unpacked in the browser
+      maxFileSize: 100 * 1024 * 1024, // 100MB, applies to the model plus its resources
       onFileSelected: null,
       onError: null,
       onProgress: null,
@@ -88,38 +91,119 @@ export class FileUploader {
   }
 
   /**
-   * Handle drop event
+   * Handle drop event (files and/or folders)
    */
-  onDrop(event) {
+  async onDrop(event) {
     event.preventDefault();
     event.stopPropagation();
     
     this.uploadZone.classList.remove('drag-over');
     
-    const files = Array.from(event.dataTransfer.files);
+    // Entries must be read synchronously, before the drop event is over
+    const entries = Array.from(event.dataTransfer.items || [])
+      .map((item) => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+      .filter(Boolean);
     
-    if (files.length === 0) {
-      this.showError('Aucun fichier détecté');
-      return;
-    }
-    
-    if (files.length > 1) {
-      this.showError('Veuillez sélectionner un seul fichier');
+    let files;
+    try {
+      files = entries.length > 0
+        ? await this.readEntries(entries)
+        : Array.from(event.dataTransfer.files).map((file) => ({ file, path: file.name }));
+    } catch (error) {
+      this.showError(`Impossible de lire le dossier: ${error.message}`);
       return;
     }
     
-    this.processFile(files[0]);
+    this.processFiles(files);
   }
 
   /**
    * Handle file input change
    */
   onFileSelected(event) {
-    const files = Array.from(event.target.files);
+    const files = Array.from(event.target.files).map((file) => ({
+      file,
+      path: file.webkitRelativePath || file.name
+    }));
+    
+    this.processFiles(files);
+  }
+
+  /**
+   * Recursively collect files from dropped file system entries, keeping relative paths
+   */
+  async readEntries(entries) {
+    const files = [];
+    
+    const visit = async (entry) => {
+      if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        files.push({ file, path: entry.fullPath.replace(/^\/+/, '') });
+      } else if (entry.isDirectory) {
+        const reader = entry.createReader();
+        let batch;
+        
+        // readEntries returns directory contents in chunks until empty
+        do {
+          batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+          for (const child of batch) {
+            await visit(child);
+          }
+        } while (batch.length > 0);
+      }
+    };
+    
+    for (const entry of entries) {
+      await visit(entry);
+    }
+    
+    return files;
+  }
+
+  /**
+   * Pick the model among selected files and keep the others as its resources
+   */
+  processFiles(files) {
+    if (files.length === 0) {
+      this.showError('Aucun fichier détecté');
+      return;
+    }
+    
+    const models = files.filter(({ file }) => this.isAcceptedType(file.name));
+    const archives = files.filter(({ file }) => this.isArchive(file.name));
     
-    if (files.length === 0) return;
+    // A single package: unpack it and look for the model inside
+    if (models.length === 0 && archives.length === 1) {
+      this.processArchive(archives[0].file);
+      return;
+    }
+    
+    if (archives.length > 0) {
+      this.showError('Veuillez déposer une seule archive .zip, sans autre fichier');
+      return;
+    }
+    
+    if (models.length === 0) {
+      this.showError(`Aucun modèle trouvé. Types acceptés: ${this.options.acceptedTypes.join(', ')}`);
+      return;
+    }
+    
+    if (models.length > 1) {
+      this.showError(`Plusieurs modèles détectés (${models.map(({ path }) => path).join(', ')}), veuillez n'en déposer qu'un seul`);
+      return;
+    }
     
-    this.processFile(files[0]);
+    const totalSize = files.reduce((sum, { file }) => sum + file.size, 0);
+    if (totalSize > this.options.maxFileSize) {
+      const maxSizeMB = Math.round(this.options.maxFileSize / (1024 * 1024));
+      this.showError(`Fichiers trop volumineux. Taille maximum: ${maxSizeMB}MB`);
+      return;
+    }
+    
+    // Resources are keyed by their path relative to the selection root
+    const resources = new Map(files.map(({ file, path }) => [path, file]));
+    
+    this.processFile(models[0].file, resources);
   }
 
   /**
@@ -132,9 +216,115 @@ export class FileUploader {
   }
 
   /**
-   * Process selected file
+   * Unpack a ZIP package and load its model with the other files as resources
    */
-  async processFile(file) {
+  async processArchive(file) {
+    if (this.isUploading) {
+      this.showError('Un fichier est déjà en cours de traitement');
+      return;
+    }
+    
+    const maxSizeMB = Math.round(this.options.maxFileSize / (1024 * 1024));
+    if (file.size > this.options.maxFileSize) {
+      this.showError(`Archive trop volumineuse. Taille maximum: ${maxSizeMB}MB`);
+      return;
+    }
+    
+    const reader = new ZipReader();
+    let primary = null;
+    let resources = null;
+    
+    try {
+      this.isUploading = true;
+      this.showProgress(0);
+      
+      const entries = await reader.open(file);
+      
+      // The limit applies to what will actually be loaded
+      if (reader.totalSize > this.options.maxFileSize) {
+        throw new Error(`archive de ${this.formatFileSize(reader.totalSize)} une fois décompressée (maximum ${maxSizeMB}MB)`);
+      }
+      
+      const models = entries.filter((entry) => this.isAcceptedType(entry.path));
+      if (models.length === 0) {
+        throw new Error(`aucun modèle ${this.options.acceptedTypes.join('/')} dans l'archive`);
+      }
+      
+      let modelPath = models[0].path;
+      if (models.length > 1) {
+        this.isUploading = false;
+        modelPath = await this.pickModel(models.map((entry) => entry.path));
+        this.isUploading = true;
+        
+        if (!modelPath) {
+          this.hideProgress();
+          return;
+        }
+      }
+      
+      this.showProgress(50);
+      resources = await reader.extractAll();
+      primary = resources.get(modelPath);
+      
+    } catch (error) {
+      this.showError(`Archive invalide: ${error.message}`);
+      this.hideProgress();
+      return;
+    } finally {
+      this.isUploading = false;
+      reader.dispose();
+    }
+    
+    this.processFile(primary, resources);
+  }
+
+  /**
+   * Let the user choose the model to load when a package contains several
+   */
+  pickModel(paths) {
+    return new Promise((resolve) => {
+      const dialog = document.createElement('dialog');
+      dialog.className = 'model-picker';
+      
+      const title = document.createElement('h3');
+      title.textContent = 'Plusieurs modèles trouvés';
+      dialog.appendChild(title);
+      
+      const list = document.createElement('div');
+      list.className = 'model-picker-list';
+      
+      paths.forEach((path) => {
+        const option = document.createElement('button');
+        option.type = 'button';
+        option.className = 'model-picker-option';
+        option.textContent = path;
+        option.addEventListener('click', () => dialog.close(path));
+        list.appendChild(option);
+      });
+      dialog.appendChild(list);
+      
+      const cancel = document.createElement('button');
+      cancel.type = 'button';
+      cancel.className = 'model-picker-cancel';
+      cancel.textContent = 'Annuler';
+      cancel.addEventListener('click', () => dialog.close(''));
+      dialog.appendChild(cancel);
+      
+      // Escape also closes the dialog, with an empty return value
+      dialog.addEventListener('close', () => {
+        dialog.remove();
+        resolve(dialog.returnValue || null);
+      });
+      
+      document.body.appendChild(dialog);
+      dialog.showModal();
+    });
+  }
+
+  /**
+   * Process selected file, with optional resource files keyed by relative path
+   */
+  async processFile(file, resources = null) {
     if (this.isUploading) {
       this.showError('Un fichier est déjà en cours de traitement');
       return;
@@ -150,7 +340,7 @@ export class FileUploader {
     try {
       this.isUploading = true;
       this.showProgress(0);
-      this.updateFileInfo(file);
+      this.updateFileInfo(file, resources);
       
       // Simulate upload progress for large files
       if (file.size > 10 * 1024 * 1024) { // 10MB
@@ -159,7 +349,7 @@ export class FileUploader {
       
       // Notify callback
       if (this.options.onFileSelected) {
-        await this.options.onFileSelected(file);
+        await this.options.onFileSelected(file, resources);
       }
       
       this.showProgress(100);
@@ -178,12 +368,7 @@ export class FileUploader {
    */
   validateFile(file) {
     // Check file type
-    const fileName = file.name.toLowerCase();
-    const isValidType = this.options.acceptedTypes.some(type => 
-      fileName.endsWith(type.toLowerCase())
-    );
-    
-    if (!isValidType) {
+    if (!this.isAcceptedType(file.name)) {
       return {
         valid: false,
         error: `Type de fichier non supporté. Types acceptés: ${this.options.acceptedTypes.join(', ')}`
@@ -210,14 +395,35 @@ export class FileUploader {
     return { valid: true };
   }
 
+  /**
+   * Check file name against accepted model types
+   */
+  isAcceptedType(fileName) {
+    const name = fileName.toLowerCase();
+    return this.options.acceptedTypes.some((type) => name.endsWith(type.toLowerCase()));
+  }
+
+  /**
+   * Check file name against archive types
+   */
+  isArchive(fileName) {
+    const name = fileName.toLowerCase();
+    return this.options.archiveTypes.some((type) => name.endsWith(type.toLowerCase()));
+  }
+
   /**
    * Update file information display
    */
-  updateFileInfo(file) {
+  updateFileInfo(file, resources = null) {
     if (!this.fileInfo || !this.fileName || !this.fileSize) return;
     
-    this.fileName.textContent = file.name;
-    this.fileSize.textContent = this.formatFileSize(file.size);
+    const extraFiles = resources ? resources.size - 1 : 0;
+    const totalSize = resources
+      ? Array.from(resources.values()).reduce((sum, resource) => sum + resource.size, 0)
+      : file.size;
+    
+    this.fileName.textContent = extraFiles > 0 ? `${file.name} (+${extraFiles} fichiers)` : file.name;
+    this.fileSize.textContent = this.formatFileSize(totalSize);
     this.fileInfo.classList.remove('hidden');
   }
 
@@ -0,0 +1,194 @@
+/**
+ * ShotList.js - Saved Shot List
+ * Named camera rig bookmarks with their lighting, background and a thumbnail
+ * Each model file has its own list, persisted in local storage under its content hash
+ */
+
+const STORAGE_PREFIX = 'multiview-platform.shots.';
+
+export class ShotList {
+  constructor(options = {}) {
+    this.options = {
+      onApply: null,
+      ...options
+    };
+    
+    this.modelKey = null;
+    this.shots = [];
+    this.nextId = 1;
+    
+    this.setupUI();
+  }
+
+  /**
+   * Setup UI elements
+   */
+  setupUI() {
+    this.list = document.getElementById('shot-list');
+    this.nameInput = document.getElementById('shot-name');
+  }
+
+  /**
+   * Storage key of a model file: SHA-256 of its content, or its name and size without Web Crypto
+   */
+  async getModelKey(file) {
+    try {
+      const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+      return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+    } catch (error) {
+      console.warn('⚠️ Could not hash model file:', error);
+      return `${file.name}:${file.size}`;
+    }
+  }
+
+  /**
+   * Switch to the shot list of a model
+   */
+  setModel(modelKey) {
+    this.modelKey = modelKey;
+    this.shots = this.load();
+    this.nextId = this.shots.reduce((max, shot) => Math.max(max, shot.id), 0) + 1;
+    this.render();
+    
+    console.log(`🎬 Shot list: ${this.shots.length} saved shots`);
+  }
+
+  /**
+   * Name typed in the panel, or a numbered default
+   */
+  getNextName() {
+    const name = (this.nameInput?.value || '').trim();
+    return name || `Plan ${this.shots.length + 1}`;
+  }
+
+  /**
+   * Add a shot at the end of the list
+   */
+  add(shot) {
+    if (!this.modelKey) return null;
+    
+    const entry = { id: this.nextId++, createdAt: new Date().toISOString(), ...shot };
+    this.shots.push(entry);
+    this.save();
+    this.render();
+    
+    if (this.nameInput) this.nameInput.value = '';
+    
+    console.log(`🎬 Saved shot: ${entry.name}`);
+    return entry;
+  }
+
+  /**
+   * Remove one shot
+   */
+  remove(id) {
+    this.shots = this.shots.filter((shot) => shot.id !== id);
+    this.save();
+    this.render();
+  }
+
+  /**
+   * Move a shot up (-1) or down (+1) in the list
+   */
+  move(id, offset) {
+    const index = this.shots.findIndex((shot) => shot.id === id);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= this.shots.length) return;
+    
+    const [shot] = this.shots.splice(index, 1);
+    this.shots.splice(target, 0, shot);
+    this.save();
+    this.render();
+  }
+
+  /**
+   * Shots in list order
+   */
+  getShots() {
+    return [...this.shots];
+  }
+
+  /**
+   * Read the current model's shots from local storage
+   */
+  load() {
+    if (!this.modelKey) return [];
+    
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_PREFIX + this.modelKey)) || [];
+    } catch (error) {
+      console.warn('⚠️ Could not read shot list:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Write the current model's shots to local storage (an empty list removes the entry)
+   */
+  save() {
+    if (!this.modelKey) return;
+    
+    try {
+      if (this.shots.length === 0) {
+        localStorage.removeItem(STORAGE_PREFIX + this.modelKey);
+      } else {
+        localStorage.setItem(STORAGE_PREFIX + this.modelKey, JSON.stringify(this.shots));
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not save shot list:', error);
+    }
+  }
+
+  /**
+   * List the shots with their thumbnail, reorder and remove buttons
+   */
+  render() {
+    if (!this.list) return;
+    
+    this.list.innerHTML = '';
+    this.shots.forEach((shot, index) => {
+      const item = document.createElement('li');
+      item.className = 'shot-item';
+      item.title = 'Cliquer pour appliquer ce plan';
+      item.addEventListener('click', () => this.options.onApply?.(shot));
+      
+      const thumbnail = document.createElement('img');
+      thumbnail.className = 'shot-thumbnail';
+      thumbnail.alt = '';
+      if (shot.thumbnail) thumbnail.src = shot.thumbnail;
+      
+      const label = document.createElement('span');
+      label.className = 'shot-label';
+      label.textContent = `${index + 1}. ${shot.name}`;
+      
+      const actions = document.createElement('span');
+      actions.className = 'shot-actions';
+      actions.append(
+        this.createButton('↑', 'Monter', 'shot-move', index === 0, () => this.move(shot.id, -1)),
+        this.createButton('↓', 'Descendre', 'shot-move', index === this.shots.length - 1, () => this.move(shot.id, 1)),
+        this.createButton('×', 'Supprimer le plan', 'measurement-remove', false, () => this.remove(shot.id))
+      );
+      
+      item.append(thumbnail, label, actions);
+      this.list.appendChild(item);
+    });
+  }
+
+  /**
+   * Small list button that does not apply the shot when clicked
+   */
+  createButton(text, title, className, disabled, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.textContent = text;
+    button.title = title;
+    button.disabled = disabled;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    
+    return button;
+  }
+}
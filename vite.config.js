@@ -1,11 +1,69 @@
 import { defineConfig } from 'vite';
 import legacy from '@vitejs/plugin-legacy';
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Three.js decoders loaded at runtime by path, served from our own bundle
+// so compressed glTF models also load without internet access
+const decoders = {
+  draco: {
+    dir: 'node_modules/three/examples/jsm/libs/draco/gltf',
+    files: ['draco_decoder.js', 'draco_decoder.wasm', 'draco_wasm_wrapper.js']
+  },
+  basis: {
+    dir: 'node_modules/three/examples/jsm/libs/basis',
+    files: ['basis_transcoder.js', 'basis_transcoder.wasm']
+  }
+};
+
+const contentTypes = {
+  '.js': 'text/javascript',
+  '.wasm': 'application/wasm'
+};
+
+/**
+ * Serve decoders under /decoders/ in dev and emit them into the build
+ */
+function threeDecoders() {
+  return {
+    name: 'three-decoders',
+
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const url = (req.url || '').split('?')[0].replace(server.config.base, '/');
+        const match = url.match(/^\/decoders\/([^/]+)\/([^/]+)$/);
+        const decoder = match && decoders[match[1]];
+
+        if (!decoder || !decoder.files.includes(match[2])) {
+          next();
+          return;
+        }
+
+        res.setHeader('Content-Type', contentTypes[path.extname(match[2])]);
+        fs.createReadStream(path.resolve(decoder.dir, match[2])).pipe(res);
+      });
+    },
+
+    generateBundle() {
+      Object.entries(decoders).forEach(([name, decoder]) => {
+        decoder.files.forEach((file) => {
+          this.emitFile({
+            type: 'asset',
+            fileName: `decoders/${name}/${file}`,
+            source: fs.readFileSync(path.resolve(decoder.dir, file))
+          });
+        });
+      });
+    }
+  };
+}
 
 export default defineConfig({
   plugins: [
     legacy({
       targets: ['defaults', 'not IE 11']
-    })
+    }),
+    threeDecoders()
   ],
   server: {
     port: 3000,